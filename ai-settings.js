@@ -0,0 +1,190 @@
+/*
+ * AI SETTINGS
+ * ===========
+ * Maps an AI Elo rating to the search and evaluation settings sent to the
+ * worker (chess-worker.js). Shared by the UI (chess.js) and Node scripts such
+ * as the UCI adapter (uci.js, via require), so both play along the same curve.
+ *
+ * A style (PERSONALITIES) then scales the Elo settings: it changes what the AI
+ * values and how it goes wrong, not how deep it looks or how long it thinks.
+ */
+
+(function(root) {
+
+    const MIN_ELO = 500;
+    const MAX_ELO = 2200;
+
+    const DEFAULT_PERSONALITY = 'balanced';
+
+    // Multipliers applied to the Elo settings of the same name. The evaluation weights
+    // start at 0 at the lowest level, so styles show more the stronger the AI is;
+    // materialWeight and the mistake profile apply at every level.
+    const PERSONALITIES = {
+        balanced: {
+            name: 'Balanced',
+            description: 'Plays the position on its merits.',
+            multipliers: {}
+        },
+        attacker: {
+            name: 'Aggressive attacker',
+            description: 'A coffeehouse player: gives up material for activity and an attack on your king.',
+            multipliers: {
+                materialWeight: 0.75,
+                mobilityWeight: 1.8,
+                kingSafetyWeight: 2.0,
+                pawnStructureWeight: 0.5,
+                mistakeSizeCp: 1.4,
+                temperature: 1.5
+            }
+        },
+        defender: {
+            name: 'Solid defender',
+            description: 'Keeps its king safe and its pawns together, and rarely goes wrong by much.',
+            multipliers: {
+                kingSafetyWeight: 1.6,
+                pawnStructureWeight: 1.5,
+                mobilityWeight: 0.6,
+                mistakeRate: 0.8,
+                mistakeSizeCp: 0.7,
+                temperature: 0.6
+            }
+        },
+        beginner: {
+            name: 'Material-greedy beginner',
+            description: 'Grabs everything that is offered and hardly thinks about its king or its pieces.',
+            multipliers: {
+                materialWeight: 1.3,
+                positionWeight: 0.4,
+                mobilityWeight: 0.3,
+                kingSafetyWeight: 0.3,
+                pawnStructureWeight: 0.3,
+                mistakeRate: 1.3
+            }
+        },
+        grinder: {
+            name: 'Endgame grinder',
+            description: 'Values pawn structure and piece placement, and squeezes small advantages with few mistakes.',
+            multipliers: {
+                positionWeight: 1.3,
+                pawnStructureWeight: 1.6,
+                kingSafetyWeight: 0.7,
+                mobilityWeight: 0.8,
+                mistakeRate: 0.7,
+                temperature: 0.5,
+                softmaxWindow: 0.7
+            }
+        }
+    };
+
+    function getAISettings(aiElo, personality = DEFAULT_PERSONALITY) {
+        const style = PERSONALITIES[personality];
+        if (!style) {
+            throw new Error(`Unknown AI personality: ${personality}`);
+        }
+
+        const elo = Math.max(MIN_ELO, Math.min(MAX_ELO, aiElo)); // Clamp to valid range
+
+        // Linear interpolation helper
+        const lerp = (minElo, maxElo, minVal, maxVal) => {
+            const t = (elo - minElo) / (maxElo - minElo);
+            return minVal + t * (maxVal - minVal);
+        };
+
+        // SEARCH DEPTH: 1 @ 500 ELO → 6 @ 2200 ELO
+        const searchDepth = elo <= 500 ? 0 : Math.round(lerp(500, 2200, 1, 6));
+
+        // MISTAKE RATE: 0.90 @ 500 → 0.02 @ 2200 (chance of a deliberate mistake in a typical
+        // middlegame; the worker lowers it in simple positions and raises it in sharp ones)
+        const mistakeRate = lerp(500, 2200, 0.90, 0.02);
+
+        // MISTAKE SIZE: 350cp @ 500 → 100cp @ 2200 (mistakes losing more than this get rarer)
+        const mistakeSizeCp = Math.round(lerp(500, 2200, 350, 100));
+
+        // TIME PER MOVE: 300ms @ 500 → 5000ms @ 2200
+        const timePerMove = Math.round(lerp(500, 2200, 300, 5000));
+
+        // MAX NODES: Node count limit as backup (50K @ 500 → 500K @ 2200)
+        const maxNodes = Math.round(lerp(500, 2200, 50000, 500000));
+
+        // POSITION WEIGHT: 0.0 @ 500 → 1.5 @ 2200
+        const positionWeight = lerp(500, 2200, 0.0, 1.5);
+
+        // MATERIAL WEIGHT: 1.0 at every level (only styles change it)
+        const materialWeight = 1.0;
+
+        // MOBILITY WEIGHT: 0.0 @ 500 → 1.0 @ 2200
+        const mobilityWeight = lerp(500, 2200, 0.0, 1.0);
+
+        // PAWN STRUCTURE WEIGHT: 0.0 @ 500 → 1.0 @ 2200
+        const pawnStructureWeight = lerp(500, 2200, 0.0, 1.0);
+
+        // KING SAFETY WEIGHT: 0.0 @ 500 → 1.2 @ 2200
+        const kingSafetyWeight = lerp(500, 2200, 0.0, 1.2);
+
+        // SOFTMAX TEMPERATURE: 1.2 @ 500 → 0.3 @ 2200 (lower = more deterministic)
+        const temperature = lerp(500, 2200, 1.2, 0.3);
+
+        // SOFTMAX WINDOW: 80cp @ 500 → 30cp @ 2200 (narrower window at high ELO)
+        const softmaxWindow = Math.round(lerp(500, 2200, 80, 30));
+
+        // QUIESCENCE SEARCH: Enable from 1200+ ELO
+        const useQuiescence = elo >= 1200;
+
+        // SEEDED SEARCH SPEED: nodes per ms of timePerMove a seeded search may use in place
+        // of the clock (chess-worker.js). Measured by timing unseeded searches at every
+        // level on middlegame and endgame positions in a Node worker thread (node-worker.js):
+        // about 13 nodes/ms without quiescence search, 7 with it. Every seeded game depends
+        // on these numbers, so changing them changes the games behind saved Seed tags and
+        // the calibrate-elo.js report.
+        const seededNodesPerMs = useQuiescence ? 7 : 13;
+
+        // BOOK DEPTH: 4 plies @ 500 → 16 plies @ 2200 (how far the opening book is followed)
+        const bookDepth = Math.round(lerp(500, 2200, 4, 16));
+
+        // BOOK RANDOMNESS: 1.0 @ 500 → 0.25 @ 2200 (1 = book moves in proportion to their
+        // weight, lower = sticks to the main lines)
+        const bookRandomness = lerp(500, 2200, 1.0, 0.25);
+
+        const settings = {
+            searchDepth,
+            mistakeRate,
+            mistakeSizeCp,
+            timePerMove,
+            maxNodes,
+            materialWeight,
+            positionWeight,
+            mobilityWeight,
+            pawnStructureWeight,
+            kingSafetyWeight,
+            temperature,
+            softmaxWindow,
+            useQuiescence,
+            seededNodesPerMs,
+            bookDepth,
+            bookRandomness
+        };
+
+        for (const [name, factor] of Object.entries(style.multipliers)) {
+            settings[name] *= factor;
+        }
+        settings.mistakeRate = Math.min(settings.mistakeRate, 1);
+        settings.mistakeSizeCp = Math.round(settings.mistakeSizeCp);
+        settings.softmaxWindow = Math.round(settings.softmaxWindow);
+        settings.personality = personality;
+        return settings;
+    }
+
+    const AISettings = {
+        MIN_ELO,
+        MAX_ELO,
+        DEFAULT_PERSONALITY,
+        PERSONALITIES,
+        getAISettings
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AISettings;
+    } else {
+        root.AISettings = AISettings;
+    }
+})(typeof self !== 'undefined' ? self : this);
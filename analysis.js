@@ -0,0 +1,160 @@
+// Analysis Mode - the worker searches the position on the board until stopped and
+// streams its evaluation and principal variation into a line under the board
+
+// The best move counts as the only move when every other line is this much worse
+const ONLY_MOVE_MARGIN = 150;
+
+// Analysis runs at full strength in the balanced style, without a time or node limit
+ChessGame.prototype.getAnalysisSettings = function() {
+    return {
+        ...this.getAISettings(AISettings.MAX_ELO, AISettings.DEFAULT_PERSONALITY),
+        mistakeRate: 0,
+        timePerMove: Infinity,
+        maxNodes: Infinity
+    };
+};
+
+ChessGame.prototype.setAnalysisActive = function(active) {
+    this.analysisActive = active;
+    document.getElementById('toggle-analysis').textContent = active ? 'Stop Analysis' : 'Analyze Position';
+    document.getElementById('analysis-line').style.display = active ? 'block' : 'none';
+
+    if (active) {
+        this.updateAnalysis();
+    } else {
+        this.stopAnalysis();
+    }
+};
+
+ChessGame.prototype.stopAnalysis = function() {
+    if (this.analysisRequestId && this.aiWorker) {
+        this.aiWorker.postMessage({ type: 'stop', id: this.analysisRequestId });
+    }
+    this.analysisFEN = null;
+    this.analysisRequestId = null;
+};
+
+// Called whenever the board changes: restart analysis on the new position, or pause
+// it while the AI needs the worker for its own move
+ChessGame.prototype.updateAnalysis = function() {
+    if (!this.analysisActive) return;
+
+    if (this.lessonMode || !this.aiWorker || !this.workerReady) {
+        this.setAnalysisActive(false);
+        return;
+    }
+
+    if (this.gameOver) {
+        this.stopAnalysis();
+        this.showAnalysisStatus('Game over');
+        return;
+    }
+
+    if (!this.replayMoves && this.currentTurn === this.aiColor) {
+        this.stopAnalysis();
+        this.showAnalysisStatus('Paused while the AI thinks...');
+        return;
+    }
+
+    const fen = this.getFEN();
+    if (fen === this.analysisFEN) return;
+
+    this.stopAnalysis();
+    this.analysisFEN = fen;
+    this.showAnalysisStatus('Analyzing...');
+    this.analysisRequestId = this.postWorkerRequest({
+        type: 'analyze',
+        fen,
+        board: this.board,
+        settings: this.getAnalysisSettings(),
+        currentTurn: this.currentTurn,
+        castlingRights: this.castlingRights,
+        enPassantTarget: this.enPassantTarget,
+        positionHistory: this.positionHistory,
+        multiPV: parseInt(document.getElementById('analysis-multipv').value) || 1
+    });
+};
+
+ChessGame.prototype.showAnalysisStatus = function(text) {
+    document.getElementById('analysis-score').textContent = '';
+    document.getElementById('analysis-info').textContent = text;
+    document.getElementById('analysis-pv').textContent = '';
+};
+
+// Render a worker 'analysis' reply. Replies to an analysis that has been stopped
+// (the board moved on while an iteration was running) are dropped.
+ChessGame.prototype.showAnalysis = function(data) {
+    if (!this.analysisActive || !this.analysisRequestId || data.id !== this.analysisRequestId) return;
+
+    const scoreElement = document.getElementById('analysis-score');
+    scoreElement.textContent = this.formatAnalysisScore(data.score, data.mate);
+    scoreElement.classList.toggle('black-better', data.score < 0);
+
+    const nodes = data.nodes >= 1000000 ? `${(data.nodes / 1000000).toFixed(1)}M` :
+        data.nodes >= 1000 ? `${Math.round(data.nodes / 1000)}k` : String(data.nodes);
+    const turn = ChessRules.parseFEN(data.fen).currentTurn;
+    const onlyMove = this.isOnlyMove(data.lines, turn) ? ' · Only move' : '';
+    document.getElementById('analysis-info').textContent =
+        `Depth ${data.depth} · ${nodes} nodes · ${Math.round(data.nps / 1000)}k nodes/s${onlyMove}`;
+
+    // The first line's score is already shown above, so only the other lines get their own
+    document.getElementById('analysis-pv').innerHTML = data.lines.map((line, index) => {
+        const score = index === 0 ? '' :
+            `<span class="analysis-line-score">${this.formatAnalysisScore(line.score, line.mate)}</span> `;
+        return `<div class="analysis-pv-line">${score}${this.getPVNotation(data.fen, line.pv)}</div>`;
+    }).join('');
+};
+
+// True when the side to move has one clearly best move: every other line (scores are
+// from white's point of view) is at least ONLY_MOVE_MARGIN worse. Needs MultiPV >= 2.
+ChessGame.prototype.isOnlyMove = function(lines, turn) {
+    if (lines.length < 2) return false;
+    const sign = turn === 'white' ? 1 : -1;
+    return (lines[0].score - lines[1].score) * sign >= ONLY_MOVE_MARGIN;
+};
+
+// "+0.35" / "-1.20" in pawns from white's point of view, or "#3" / "#-2" for mates
+ChessGame.prototype.formatAnalysisScore = function(score, mate) {
+    if (mate !== null) {
+        return `#${mate}`;
+    }
+    const pawns = score / 100;
+    return `${pawns > 0 ? '+' : ''}${pawns.toFixed(2)}`;
+};
+
+// Numbered SAN for a principal variation played out from the given FEN
+ChessGame.prototype.getPVNotation = function(fen, pv) {
+    const position = ChessRules.parseFEN(fen);
+    const tokens = [];
+
+    for (const move of pv) {
+        const legal = ChessRules.getValidMovesForPiece(position, move.fromRow, move.fromCol)
+            .some(target => target.row === move.toRow && target.col === move.toCol);
+        if (!legal) break;
+
+        if (position.currentTurn === 'white') {
+            tokens.push(`${position.fullmoveNumber}.`);
+        } else if (tokens.length === 0) {
+            tokens.push(`${position.fullmoveNumber}...`);
+        }
+        tokens.push(ChessRules.getSAN(position, move));
+        ChessRules.makeMove(position, move);
+    }
+
+    return tokens.join(' ');
+};
+
+ChessGame.prototype.attachAnalysisEventListeners = function() {
+    this.analysisActive = false;
+    this.analysisFEN = null;
+
+    document.getElementById('toggle-analysis')?.addEventListener('click', () => {
+        this.setAnalysisActive(!this.analysisActive);
+    });
+
+    // A different number of lines needs a fresh search of the same position
+    document.getElementById('analysis-multipv')?.addEventListener('change', () => {
+        this.stopAnalysis();
+        this.updateAnalysis();
+    });
+};
@@ -0,0 +1,139 @@
+// Generates kpk-bitbase.bin, the king and pawn against king win/draw bitbase:
+//
+//   node build-kpk-bitbase.js
+//
+// Retrograde classification over every position with white's pawn on files a-d
+// (see kpk.js for the layout). Positions start out as invalid, immediately won
+// (the pawn promotes safely), immediately drawn (stalemate or the pawn is lost)
+// or unknown; unknown positions are then resolved from their successors until
+// nothing changes. White wins if any move wins, black draws if any move draws.
+const fs = require('fs');
+const path = require('path');
+const KPK = require('./kpk.js');
+
+const BITBASE_FILE = path.join(__dirname, 'kpk-bitbase.bin');
+
+// Bit flags, so the results of all moves from a position can be OR-ed together
+const INVALID = 0;
+const UNKNOWN = 1;
+const DRAW = 2;
+const WIN = 4;
+
+const KING_STEPS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+const distance = (a, b) => Math.max(Math.abs((a >> 3) - (b >> 3)), Math.abs((a & 7) - (b & 7)));
+
+function kingMoves(square) {
+    const moves = [];
+    for (const [dr, dc] of KING_STEPS) {
+        const row = (square >> 3) + dr;
+        const col = (square & 7) + dc;
+        if (row >= 0 && row < 8 && col >= 0 && col < 8) moves.push(row * 8 + col);
+    }
+    return moves;
+}
+
+// White pawns move towards row 0 and capture diagonally forward
+function pawnAttacks(pawn, square) {
+    return (square >> 3) === (pawn >> 3) - 1 && Math.abs((square & 7) - (pawn & 7)) === 1;
+}
+
+function decode(index) {
+    const pawnIndex = index % 24;
+    const weakKing = Math.floor(index / 24) % 64;
+    const strongKing = Math.floor(index / (24 * 64)) % 64;
+    const whiteToMove = index < KPK.KPK_POSITIONS / 2;
+    const pawn = (Math.floor(pawnIndex / 4) + 1) * 8 + pawnIndex % 4;
+    return { whiteToMove, whiteKing: strongKing, blackKing: weakKing, pawn };
+}
+
+function classifyInitially({ whiteToMove, whiteKing, blackKing, pawn }) {
+    if (distance(whiteKing, blackKing) <= 1 || whiteKing === pawn || blackKing === pawn ||
+        (whiteToMove && pawnAttacks(pawn, blackKing))) {
+        return INVALID;
+    }
+
+    const promotion = pawn - 8;
+    if (whiteToMove && (pawn >> 3) === 1 && whiteKing !== promotion &&
+        (distance(blackKing, promotion) > 1 || distance(whiteKing, promotion) === 1)) {
+        return WIN;
+    }
+
+    if (!whiteToMove) {
+        const escapes = kingMoves(blackKing).filter(square =>
+            distance(square, whiteKing) > 1 && !pawnAttacks(pawn, square));
+        const capturesPawn = distance(blackKing, pawn) === 1 && distance(whiteKing, pawn) > 1;
+        if (escapes.length === 0 || capturesPawn) return DRAW;
+    }
+
+    return UNKNOWN;
+}
+
+// Result from every move of the position; moves onto occupied or attacked squares
+// lead to invalid positions and don't count, so a side without moves gets the worse result
+function classifyFromSuccessors(results, { whiteToMove, whiteKing, blackKing, pawn }) {
+    let combined = 0;
+
+    if (whiteToMove) {
+        for (const square of kingMoves(whiteKing)) {
+            if (distance(square, blackKing) > 1) {
+                combined |= results[KPK.getKPKIndex(false, square, blackKing, pawn)];
+            }
+        }
+        if ((pawn >> 3) > 1) {
+            combined |= results[KPK.getKPKIndex(false, whiteKing, blackKing, pawn - 8)];
+            const pathClear = pawn - 8 !== whiteKing && pawn - 8 !== blackKing;
+            if ((pawn >> 3) === 6 && pathClear) {
+                combined |= results[KPK.getKPKIndex(false, whiteKing, blackKing, pawn - 16)];
+            }
+        }
+    } else {
+        for (const square of kingMoves(blackKing)) {
+            if (distance(square, whiteKing) > 1) {
+                combined |= results[KPK.getKPKIndex(true, whiteKing, square, pawn)];
+            }
+        }
+    }
+
+    const good = whiteToMove ? WIN : DRAW;
+    const bad = whiteToMove ? DRAW : WIN;
+    if (combined & good) return good;
+    if (combined & UNKNOWN) return UNKNOWN;
+    return bad;
+}
+
+function buildBitbase() {
+    const positions = [];
+    const results = new Uint8Array(KPK.KPK_POSITIONS);
+    for (let index = 0; index < KPK.KPK_POSITIONS; index++) {
+        positions.push(decode(index));
+        results[index] = classifyInitially(positions[index]);
+    }
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let index = 0; index < KPK.KPK_POSITIONS; index++) {
+            if (results[index] !== UNKNOWN) continue;
+            const result = classifyFromSuccessors(results, positions[index]);
+            if (result !== UNKNOWN) {
+                results[index] = result;
+                changed = true;
+            }
+        }
+    }
+
+    const bitbase = new Uint8Array(KPK.KPK_BYTES);
+    let wins = 0;
+    for (let index = 0; index < KPK.KPK_POSITIONS; index++) {
+        if (results[index] === WIN) {
+            bitbase[index >> 3] |= 1 << (index & 7);
+            wins++;
+        }
+    }
+    return { bitbase, wins };
+}
+
+const { bitbase, wins } = buildBitbase();
+fs.writeFileSync(BITBASE_FILE, bitbase);
+console.log(`KPK bitbase: ${wins} winning positions → ${path.basename(BITBASE_FILE)} (${bitbase.length} bytes)`);
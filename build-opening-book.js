@@ -0,0 +1,110 @@
+// Builds opening-book.json from the lines in opening-book.pgn:
+//
+//   node build-opening-book.js
+//
+// Each game in the PGN is one book line, named by its Opening tag. A move's
+// weight is the number of lines that play it, and a position is named after
+// the opening all lines through it share (or their common family, the part
+// of the name before the colon). See opening-book.js for the format.
+const fs = require('fs');
+const path = require('path');
+const ChessRules = require('./chess-rules.js');
+const OpeningBook = require('./opening-book.js');
+
+const SOURCE_FILE = path.join(__dirname, 'opening-book.pgn');
+const BOOK_FILE = path.join(__dirname, 'opening-book.json');
+const PGN_RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Games as { name, moves: [san, ...] }; only mainline SAN tokens are expected
+function parseBookPGN(text) {
+    const games = [];
+    let game = { name: null, moves: [] };
+
+    for (const line of text.split('\n')) {
+        const tag = line.match(/^\s*\[(\w+)\s+"(.*)"\s*\]\s*$/);
+        if (tag) {
+            if (tag[1] === 'Opening') game.name = tag[2];
+            continue;
+        }
+
+        for (const token of line.trim().split(/\s+/).filter(Boolean)) {
+            if (PGN_RESULTS.includes(token)) {
+                if (!game.name) throw new Error(`Book line ${games.length + 1} has no Opening tag`);
+                games.push(game);
+                game = { name: null, moves: [] };
+            } else if (!/^\d+\.+$/.test(token)) {
+                game.moves.push(token);
+            }
+        }
+    }
+
+    return games;
+}
+
+function findMoveBySAN(position, san) {
+    const target = san.replace(/[+#]+$/, '');
+    return ChessRules.getLegalMoves(position)
+        .find(move => ChessRules.getSAN(position, move).replace(/[+#]+$/, '') === target) || null;
+}
+
+// The name every line through a position agrees on, else their shared family, else null
+function getSharedName(names) {
+    const unique = [...new Set(names)];
+    if (unique.length === 1) return unique[0];
+
+    const families = new Set(unique.map(name => name.split(':')[0]));
+    return families.size === 1 ? [...families][0] : null;
+}
+
+function buildBook(games) {
+    const weights = {}; // key -> { uciMove: weight }
+    const names = {};   // key -> names of the lines reaching the position
+
+    for (const { name, moves } of games) {
+        const position = ChessRules.parseFEN(ChessRules.START_FEN);
+
+        moves.forEach((san, index) => {
+            const move = findMoveBySAN(position, san);
+            if (!move) {
+                throw new Error(`${name}: illegal or ambiguous move "${san}" at ply ${index + 1}`);
+            }
+
+            const key = OpeningBook.getBookKey(position);
+            const text = OpeningBook.formatBookMove(move);
+            weights[key] = weights[key] || {};
+            weights[key][text] = (weights[key][text] || 0) + 1;
+
+            ChessRules.makeMove(position, move);
+            const nextKey = OpeningBook.getBookKey(position);
+            (names[nextKey] = names[nextKey] || []).push(name);
+        });
+    }
+
+    const book = { positions: {}, names: {} };
+    for (const [key, moves] of Object.entries(weights)) {
+        book.positions[key] = Object.entries(moves).sort((a, b) => b[1] - a[1]);
+    }
+    for (const [key, lineNames] of Object.entries(names)) {
+        const name = getSharedName(lineNames);
+        if (name) book.names[key] = name;
+    }
+    return book;
+}
+
+// One position per line keeps the generated file readable in diffs
+function formatBook(book) {
+    const section = entries => entries
+        .map(([key, value]) => `    ${JSON.stringify(key)}: ${JSON.stringify(value)}`)
+        .join(',\n');
+    return '{\n' +
+        `  "positions": {\n${section(Object.entries(book.positions))}\n  },\n` +
+        `  "names": {\n${section(Object.entries(book.names))}\n  }\n` +
+        '}\n';
+}
+
+const games = parseBookPGN(fs.readFileSync(SOURCE_FILE, 'utf8'));
+const book = buildBook(games);
+fs.writeFileSync(BOOK_FILE, formatBook(book));
+
+console.log(`Opening book: ${games.length} lines, ${Object.keys(book.positions).length} positions, ` +
+    `${Object.keys(book.names).length} named positions → ${path.basename(BOOK_FILE)}`);
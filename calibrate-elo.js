@@ -0,0 +1,439 @@
+// Elo calibration: round-robin self-play between AI levels, to check that the
+// levels from ai-settings.js are ordered and spaced the way their ratings say:
+//
+//   node calibrate-elo.js [--levels 500,1000,1500,2000] [--openings 8] [--seed 1]
+//                         [--time-scale 1] [--concurrency 2] [--report elo-calibration.md]
+//
+// Every pair of levels plays each of the first --openings OPENINGS twice, once
+// with each colour. Games are seeded (see settings.seed in chess-worker.js), so
+// the same engine and options always produce the same games: rerun after engine
+// changes and diff the report. --time-scale multiplies each level's thinking
+// time, which seeded searches turn into a node budget. --concurrency only changes
+// how many games run at once, not the results.
+//
+// Ratings are fitted the way BayesElo does: a Bradley-Terry model with draws
+// and a first-move advantage, plus two virtual draws per pairing as a prior so a
+// clean sweep still gives a finite gap. They are shifted so their average is the
+// average nominal level; ± is a 95% interval.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const ChessRules = require('./chess-rules.js');
+const AISettings = require('./ai-settings.js');
+const OpeningBook = require('./opening-book.js');
+
+const DEFAULT_LEVELS = [500, 1000, 1500, 2000];
+const DEFAULT_REPORT = path.join(__dirname, 'elo-calibration.md');
+
+// Balanced lines from the main openings, played before the AIs take over
+const OPENINGS = [
+    ['Ruy Lopez', 'e2e4 e7e5 g1f3 b8c6 f1b5 a7a6'],
+    ["Queen's Gambit Declined", 'd2d4 d7d5 c2c4 e7e6 b1c3 g8f6'],
+    ['Sicilian Defence', 'e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4 g8f6'],
+    ["King's Indian Defence", 'd2d4 g8f6 c2c4 g7g6 b1c3 f8g7 e2e4 d7d6'],
+    ['Italian Game', 'e2e4 e7e5 g1f3 b8c6 f1c4 f8c5'],
+    ['French Defence', 'e2e4 e7e6 d2d4 d7d5 b1c3 g8f6'],
+    ['English Opening', 'c2c4 e7e5 b1c3 g8f6 g1f3 b8c6'],
+    ['Caro-Kann Defence', 'e2e4 c7c6 d2d4 d7d5 b1c3 d5e4 c3e4']
+];
+
+// Games still going after this many half-moves are scored as draws
+const MAX_GAME_PLIES = 300;
+
+// BayesElo's defaults: the first move is worth ADVANTAGE points, and DRAW_ELO sets
+// how likely draws are between equal players
+const ADVANTAGE = 32.8;
+const DRAW_ELO = 97.3;
+const PRIOR_DRAWS = 2;
+
+const SCORES = { '1-0': 1, '0-1': 0, '1/2-1/2': 0.5 };
+
+function parseOptions(args) {
+    const options = {
+        levels: DEFAULT_LEVELS,
+        openings: OPENINGS.length,
+        seed: 1,
+        timeScale: 1,
+        concurrency: Math.max(1, os.cpus().length - 1),
+        report: DEFAULT_REPORT
+    };
+
+    for (let i = 0; i < args.length; i += 2) {
+        const [name, value] = [args[i], args[i + 1]];
+        if (value === undefined) throw new Error(`Missing value for ${name}`);
+
+        if (name === '--levels') {
+            options.levels = value.split(',').map(level => parseInt(level));
+        } else if (name === '--openings') {
+            options.openings = parseInt(value);
+        } else if (name === '--seed') {
+            options.seed = parseInt(value);
+        } else if (name === '--time-scale') {
+            options.timeScale = parseFloat(value);
+        } else if (name === '--concurrency') {
+            options.concurrency = parseInt(value);
+        } else if (name === '--report') {
+            options.report = path.resolve(value);
+        } else {
+            throw new Error(`Unknown option ${name}`);
+        }
+    }
+
+    if (options.levels.length < 2 || options.levels.some(level => isNaN(level))) {
+        throw new Error('--levels needs at least two Elo levels, e.g. 500,1000,1500');
+    }
+    if (new Set(options.levels).size !== options.levels.length) {
+        throw new Error('--levels has the same level twice');
+    }
+    if (!(options.openings >= 1 && options.openings <= OPENINGS.length)) {
+        throw new Error(`--openings must be between 1 and ${OPENINGS.length}`);
+    }
+    if (isNaN(options.seed) || !(options.timeScale > 0) || !(options.concurrency >= 1)) {
+        throw new Error('--seed, --time-scale and --concurrency need positive numbers');
+    }
+    return options;
+}
+
+// Every pairing plays every opening with both colours. Each game gets its own seed.
+function scheduleGames(options) {
+    const games = [];
+    options.levels.forEach((first, i) => {
+        options.levels.slice(i + 1).forEach(second => {
+            OPENINGS.slice(0, options.openings).forEach(([opening, moves]) => {
+                for (const [white, black] of [[first, second], [second, first]]) {
+                    const seed = (Math.imul(options.seed, 0x9E3779B1) + games.length) >>> 0;
+                    games.push({ number: games.length + 1, white, black, opening, moves, seed });
+                }
+            });
+        });
+    });
+    return games;
+}
+
+function startWorker(book, bitbase) {
+    const worker = new Worker(path.join(__dirname, 'node-worker.js'));
+    worker.postMessage({ type: 'book', book });
+    worker.postMessage({ type: 'bitbase', bitbase });
+    worker.nextRequestId = 1;
+    return worker;
+}
+
+function search(worker, request) {
+    const id = worker.nextRequestId++;
+    return new Promise((resolve, reject) => {
+        const onMessage = message => {
+            if (message.type !== 'move' || message.id !== id) return;
+            worker.off('error', onError);
+            worker.off('message', onMessage);
+            resolve(message);
+        };
+        const onError = error => {
+            worker.off('message', onMessage);
+            reject(error);
+        };
+        worker.on('message', onMessage);
+        worker.once('error', onError);
+        worker.postMessage({ ...request, type: 'search', id });
+    });
+}
+
+// { result, ending } once the game is over, else null
+function getGameResult(position, positionHistory) {
+    const turn = position.currentTurn;
+    if (!ChessRules.hasAnyLegalMoves(position)) {
+        if (ChessRules.isInCheck(position.board, turn)) {
+            return { result: turn === 'white' ? '0-1' : '1-0', ending: 'checkmate' };
+        }
+        return { result: '1/2-1/2', ending: 'stalemate' };
+    }
+
+    const drawReason = ChessRules.getDrawReason(position, positionHistory);
+    if (drawReason) return { result: '1/2-1/2', ending: drawReason };
+    if (positionHistory.length > MAX_GAME_PLIES) return { result: '1/2-1/2', ending: 'move limit' };
+    return null;
+}
+
+async function playGame(worker, game, options) {
+    const position = ChessRules.parseFEN(ChessRules.START_FEN);
+    const positionHistory = [ChessRules.START_FEN];
+    const play = move => {
+        ChessRules.makeMove(position, move);
+        positionHistory.push(ChessRules.generateFEN(position));
+    };
+
+    game.moves.split(' ').forEach(text => play(OpeningBook.parseBookMove(text)));
+
+    const settings = {};
+    for (const level of [game.white, game.black]) {
+        const levelSettings = AISettings.getAISettings(level);
+        settings[level] = {
+            ...levelSettings,
+            timePerMove: Math.round(levelSettings.timePerMove * options.timeScale),
+            seed: game.seed
+        };
+    }
+
+    let outcome = getGameResult(position, positionHistory);
+    while (!outcome) {
+        const level = position.currentTurn === 'white' ? game.white : game.black;
+        const reply = await search(worker, {
+            board: position.board,
+            settings: settings[level],
+            aiColor: position.currentTurn,
+            currentTurn: position.currentTurn,
+            castlingRights: position.castlingRights,
+            enPassantTarget: position.enPassantTarget,
+            positionHistory,
+            fullmoveNumber: position.fullmoveNumber
+        });
+        if (!reply.move) throw new Error(`Game ${game.number}: no move in ${positionHistory[positionHistory.length - 1]}`);
+
+        play(reply.move);
+        outcome = getGameResult(position, positionHistory);
+    }
+
+    return { ...game, ...outcome, plies: positionHistory.length - 1 };
+}
+
+// Plays the games options.concurrency at a time and returns them in schedule order
+async function playGames(games, options) {
+    const book = JSON.parse(fs.readFileSync(path.join(__dirname, 'opening-book.json'), 'utf8'));
+    const bitbase = new Uint8Array(fs.readFileSync(path.join(__dirname, 'kpk-bitbase.bin')));
+    const results = [];
+    let next = 0;
+
+    const runWorker = async () => {
+        const worker = startWorker(book, bitbase);
+        try {
+            while (next < games.length) {
+                const game = games[next++];
+                const result = await playGame(worker, game, options);
+                results[game.number - 1] = result;
+                console.log(`Game ${game.number}/${games.length}: ${game.white} - ${game.black} ` +
+                    `(${game.opening}) ${result.result}, ${result.ending} after ${result.plies} plies`);
+            }
+        } finally {
+            await worker.terminate();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, games.length) }, runWorker));
+    return results;
+}
+
+// RATINGS
+
+const expectedScore = difference => 1 / (1 + Math.pow(10, -difference / 400));
+
+// Probability of a game's result for the given rating of white and black
+function resultProbability(score, white, black) {
+    const difference = white - black + ADVANTAGE;
+    const win = expectedScore(difference - DRAW_ELO);
+    const loss = expectedScore(-difference - DRAW_ELO);
+    if (score === 1) return win;
+    if (score === 0) return loss;
+    return 1 - win - loss;
+}
+
+// Log-likelihood of the games for ratings indexed like the levels. The prior's
+// virtual draws are split between both colours.
+function logLikelihood(ratings, games, pairings) {
+    let total = 0;
+    for (const { white, black, score } of games) {
+        total += Math.log(resultProbability(score, ratings[white], ratings[black]));
+    }
+    for (const [a, b] of pairings) {
+        total += PRIOR_DRAWS / 2 * Math.log(resultProbability(0.5, ratings[a], ratings[b]));
+        total += PRIOR_DRAWS / 2 * Math.log(resultProbability(0.5, ratings[b], ratings[a]));
+    }
+    return total;
+}
+
+// Solves matrix * x = vector by Gaussian elimination with partial pivoting
+function solve(matrix, vector) {
+    const n = vector.length;
+    const rows = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = rows[row][col] / rows[col][col];
+            for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[col][k];
+        }
+    }
+    return rows.map((row, i) => row[n] / row[i]);
+}
+
+// Newton's method on the log-likelihood, with numerical derivatives. Ratings are
+// only defined up to a constant, so adding the all-ones matrix / n to the negated
+// Hessian makes it invertible and keeps the ratings centred on 0. Returns the
+// ratings and their variances.
+function fitRatings(count, games, pairings) {
+    const step = 1;
+    const f = ratings => logLikelihood(ratings, games, pairings);
+    const moved = (ratings, i, change) => ratings.map((rating, k) => (k === i ? rating + change : rating));
+    const gradientAt = ratings => ratings.map((_, i) =>
+        (f(moved(ratings, i, step)) - f(moved(ratings, i, -step))) / (2 * step));
+    const curvatureAt = ratings => {
+        const columns = ratings.map((_, j) => {
+            const up = gradientAt(moved(ratings, j, step));
+            const down = gradientAt(moved(ratings, j, -step));
+            return up.map((value, i) => (value - down[i]) / (2 * step));
+        });
+        return columns.map((column, i) => column.map((_, j) => -columns[j][i] + 1 / count));
+    };
+
+    let ratings = Array(count).fill(0);
+    for (let iteration = 0; iteration < 100; iteration++) {
+        const change = solve(curvatureAt(ratings), gradientAt(ratings));
+
+        // Halve the step while it makes things worse
+        const base = f(ratings);
+        let scale = 1;
+        while (scale > 1e-6 && f(ratings.map((rating, i) => rating + change[i] * scale)) < base) scale /= 2;
+        ratings = ratings.map((rating, i) => rating + change[i] * scale);
+
+        const mean = ratings.reduce((sum, rating) => sum + rating, 0) / count;
+        ratings = ratings.map(rating => rating - mean);
+        if (Math.max(...change.map(Math.abs)) * scale < 1e-3) break;
+    }
+
+    // Covariance of the centred ratings: the inverse of that matrix, minus J/n
+    const curvature = curvatureAt(ratings);
+    const variances = ratings.map((_, i) => {
+        const unit = ratings.map((__, k) => (k === i ? 1 : 0));
+        return solve(curvature, unit)[i] - 1 / count;
+    });
+    return { ratings, variances };
+}
+
+function computeRatings(levels, results) {
+    const index = new Map(levels.map((level, i) => [level, i]));
+    const games = results.map(game => ({
+        white: index.get(game.white),
+        black: index.get(game.black),
+        score: SCORES[game.result]
+    }));
+    const pairings = levels.flatMap((_, i) => levels.slice(i + 1).map((__, k) => [i, i + 1 + k]));
+    const { ratings, variances } = fitRatings(levels.length, games, pairings);
+
+    const average = levels.reduce((sum, level) => sum + level, 0) / levels.length;
+    return levels.map((level, i) => {
+        const played = results.filter(game => game.white === level || game.black === level);
+        const score = played.reduce((sum, game) =>
+            sum + (game.white === level ? SCORES[game.result] : 1 - SCORES[game.result]), 0);
+        const opponents = played.map(game => index.get(game.white === level ? game.black : game.white));
+        return {
+            level,
+            elo: Math.round(ratings[i] + average),
+            error: Math.round(1.96 * Math.sqrt(Math.max(0, variances[i]))),
+            games: played.length,
+            score: score / played.length,
+            opponent: Math.round(opponents.reduce((sum, j) => sum + ratings[j], 0) / opponents.length + average),
+            draws: played.filter(game => game.result === '1/2-1/2').length / played.length
+        };
+    }).sort((a, b) => b.elo - a.elo);
+}
+
+// REPORT
+
+const percent = fraction => `${Math.round(fraction * 100)}%`;
+const signed = value => (value > 0 ? `+${value}` : String(value));
+
+function formatTable(header, rows) {
+    const line = cells => `| ${cells.join(' | ')} |`;
+    return [line(header), line(header.map(() => '---')), ...rows.map(line)].join('\n');
+}
+
+function formatCommand(options) {
+    const report = path.relative(__dirname, options.report);
+    return `node calibrate-elo.js --levels ${options.levels.join(',')} --openings ${options.openings} ` +
+        `--seed ${options.seed} --time-scale ${options.timeScale}` +
+        (options.report === DEFAULT_REPORT ? '' : ` --report ${report}`);
+}
+
+function formatReport(options, results, ratings) {
+    const count = result => results.filter(game => game.result === result).length;
+    const ratingTable = formatTable(
+        ['Rank', 'Level', 'Elo', '±', 'Off by', 'Games', 'Score', 'Oppo.', 'Draws'],
+        ratings.map((entry, rank) => [
+            rank + 1, entry.level, entry.elo, entry.error, signed(entry.elo - entry.level),
+            entry.games, percent(entry.score), entry.opponent, percent(entry.draws)
+        ])
+    );
+
+    // Points scored by the row's level against the column's
+    const crossTable = formatTable(
+        ['', ...options.levels],
+        options.levels.map(row => [row, ...options.levels.map(column => {
+            if (row === column) return '';
+            const games = results.filter(game =>
+                (game.white === row && game.black === column) || (game.white === column && game.black === row));
+            const points = games.reduce((sum, game) =>
+                sum + (game.white === row ? SCORES[game.result] : 1 - SCORES[game.result]), 0);
+            return `${points}/${games.length}`;
+        })])
+    );
+
+    const gameTable = formatTable(
+        ['#', 'White', 'Black', 'Opening', 'Result', 'Plies', 'Ending'],
+        results.map(game => [game.number, game.white, game.black, game.opening, game.result, game.plies, game.ending])
+    );
+
+    return [
+        '# AI Elo calibration',
+        '',
+        `Generated by \`${formatCommand(options)}\`; rerun it to update this file.`,
+        '',
+        `Round robin between the levels of ai-settings.js, ${options.openings} openings per pairing with ` +
+            `each colour: ${results.length} games, ${count('1-0')} won by white, ${count('0-1')} by black, ` +
+            `${count('1/2-1/2')} drawn.`,
+        '',
+        '## Ratings',
+        '',
+        ratingTable,
+        '',
+        'Fitted BayesElo-style and anchored so the average rating is the average level. ± is a 95% ' +
+            'interval, Off by the rating minus the level, Oppo. the average rating of the opponents.',
+        '',
+        '## Results',
+        '',
+        crossTable,
+        '',
+        'Points scored by the row level against the column level.',
+        '',
+        '## Games',
+        '',
+        gameTable,
+        ''
+    ].join('\n');
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const games = scheduleGames(options);
+    console.log(`Elo calibration: ${options.levels.length} levels, ${games.length} games, ` +
+        `${options.concurrency} at a time`);
+
+    const startTime = Date.now();
+    const results = await playGames(games, options);
+    const ratings = computeRatings(options.levels, results);
+
+    fs.writeFileSync(options.report, formatReport(options, results, ratings));
+    console.log('');
+    console.log(ratings.map(entry =>
+        `${String(entry.level).padStart(5)}: ${String(entry.elo).padStart(5)} ±${entry.error} ` +
+        `(${percent(entry.score)} of ${entry.games} games)`).join('\n'));
+    console.log(`\n${games.length} games in ${Math.round((Date.now() - startTime) / 1000)}s → ` +
+        path.basename(options.report));
+}
+
+main().catch(error => {
+    console.error(`Elo calibration failed: ${error.message}`);
+    process.exit(1);
+});
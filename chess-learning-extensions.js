@@ -67,6 +67,7 @@ ChessGame.prototype.switchToLearnMode = function() {
     document.getElementById('lesson-view').style.display = 'none';
     document.getElementById('game-container').style.display = 'none';
     this.lessonMode = false;
+    this.setAnalysisActive(false);
 };
 
 ChessGame.prototype.switchToPracticeMode = function() {
@@ -116,36 +117,38 @@ ChessGame.prototype.handleLessonSquareClick = function(row, col) {
         );
 
         if (isValidMove) {
-            // Validate the move with lesson engine
-            const result = this.lessonEngine.validateMove(selectedRow, selectedCol, row, col);
-            
-            if (result.valid) {
-                // Make the move
-                this.makeMove(selectedRow, selectedCol, row, col);
-                this.selectedSquare = null;
-                this.validMoves = [];
-                this.renderBoard();
+            this.choosePromotion(selectedRow, selectedCol, row, (promotion) => {
+                // Validate the move with lesson engine
+                const result = this.lessonEngine.validateMove(selectedRow, selectedCol, row, col, promotion);
                 
-                // Update progress tracker
-                this.progressTracker.recordMove(result.correct);
-                
-                if (result.correct) {
-                    // Award points and complete lesson
-                    const xpResult = this.progressTracker.addXP(result.points);
-                    this.lessonEngine.completeCurrentLesson(result.points);
+                if (result.valid) {
+                    // Make the move
+                    this.makeMove(selectedRow, selectedCol, row, col, promotion);
+                    this.selectedSquare = null;
+                    this.validMoves = [];
+                    this.renderBoard();
+                    
+                    // Update progress tracker
+                    this.progressTracker.recordMove(result.correct);
                     
-                    // Show level up if occurred
-                    if (xpResult.levelUp) {
-                        this.showLevelUp(xpResult.newLevel);
+                    if (result.correct) {
+                        // Award points and complete lesson
+                        const xpResult = this.progressTracker.addXP(result.points);
+                        this.lessonEngine.completeCurrentLesson(result.points);
+                        
+                        // Show level up if occurred
+                        if (xpResult.levelUp) {
+                            this.showLevelUp(xpResult.newLevel);
+                        }
                     }
+                    
+                    // Show feedback
+                    this.skillTreeRenderer?.showLessonFeedback(result);
+                    
+                    // Update progress display
+                    this.updateProgressDisplay();
                 }
-                
-                // Show feedback
-                this.skillTreeRenderer?.showLessonFeedback(result);
-                
-                // Update progress display
-                this.updateProgressDisplay();
-            }
+            });
         } else if (piece && this.getPieceColor(piece) === this.currentTurn) {
             this.selectSquare(row, col);
         } else {
@@ -158,38 +161,31 @@ ChessGame.prototype.handleLessonSquareClick = function(row, col) {
     }
 };
 
+// Set up a position from FEN, restoring every field. Throws a descriptive Error for
+// malformed FEN or an impossible position, leaving the current game untouched.
 ChessGame.prototype.loadFEN = function(fen) {
-    const parts = fen.split(' ');
-    const position = parts[0];
-    const turn = parts[1];
-    
-    // Parse board position
-    this.board = [];
-    const rows = position.split('/');
-    
-    for (let i = 0; i < 8; i++) {
-        this.board[i] = [];
-        let col = 0;
-        
-        for (const char of rows[i]) {
-            if (char >= '1' && char <= '8') {
-                // Empty squares
-                const emptyCount = parseInt(char);
-                for (let j = 0; j < emptyCount; j++) {
-                    this.board[i][col++] = null;
-                }
-            } else {
-                // Piece
-                this.board[i][col++] = char;
-            }
-        }
-    }
-    
-    // Set turn
-    this.currentTurn = turn === 'w' ? 'white' : 'black';
+    // A reply to a search started on the old board must not be played on the new one
+    this.cancelAIMove();
+
+    const position = ChessRules.parseFEN(fen);
+    ChessRules.validatePosition(position);
+
+    this.board = position.board;
+    this.currentTurn = position.currentTurn;
+    this.castlingRights = position.castlingRights;
+    this.enPassantTarget = position.enPassantTarget;
+    this.halfmoveClock = position.halfmoveClock;
+    this.fullmoveNumber = position.fullmoveNumber;
+    
+    // A loaded position starts a new game record
+    this.moveHistory = [];
+    this.capturedPieces = { white: [], black: [] };
+    this.positionHistory = [this.getFEN()];
     
     // Reset other game state
     this.gameOver = false;
+    this.gameResult = '*';
+    this.replayMoves = null;
     this.selectedSquare = null;
     this.validMoves = [];
     this.lastMove = null;
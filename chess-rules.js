@@ -0,0 +1,837 @@
+/*
+ * CHESS RULES
+ * ===========
+ * Pure position and move rules shared by the UI (chess.js), the AI worker
+ * (chess-worker.js, via importScripts) and Node scripts (via require).
+ *
+ * A position is any object with:
+ *   { board, currentTurn, castlingRights, enPassantTarget, halfmoveClock, fullmoveNumber }
+ * where board is an 8x8 array (row 0 = rank 8) of piece letters or null,
+ * uppercase for white. ChessGame instances are positions themselves.
+ *
+ * Moves are { fromRow, fromCol, toRow, toCol, promotion? } with promotion one of 'q', 'r', 'b', 'n'.
+ */
+
+(function(root) {
+
+    const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+    const KNIGHT_OFFSETS = [
+        [-2, -1], [-2, 1], [-1, -2], [-1, 2],
+        [1, -2], [1, 2], [2, -1], [2, 1]
+    ];
+    const KING_OFFSETS = [
+        [-1, -1], [-1, 0], [-1, 1],
+        [0, -1], [0, 1],
+        [1, -1], [1, 0], [1, 1]
+    ];
+    const BISHOP_DIRECTIONS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+    const ROOK_DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+    const QUEEN_DIRECTIONS = BISHOP_DIRECTIONS.concat(ROOK_DIRECTIONS);
+
+    const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+    // UTILITY FUNCTIONS
+
+    function isValidSquare(row, col) {
+        return row >= 0 && row < 8 && col >= 0 && col < 8;
+    }
+
+    function getPieceColor(piece) {
+        return piece === piece.toUpperCase() ? 'white' : 'black';
+    }
+
+    function getOpponent(color) {
+        return color === 'white' ? 'black' : 'white';
+    }
+
+    function squareToNotation(row, col) {
+        return String.fromCharCode(97 + col) + (8 - row);
+    }
+
+    function notationToSquare(notation) {
+        if (!/^[a-h][1-8]$/.test(notation)) return null;
+        return { row: 8 - parseInt(notation[1]), col: notation.charCodeAt(0) - 97 };
+    }
+
+    function isPromotionMove(board, fromRow, fromCol, toRow) {
+        const piece = board[fromRow][fromCol];
+        return !!piece && piece.toLowerCase() === 'p' && (toRow === 0 || toRow === 7);
+    }
+
+    function cloneCastlingRights(rights) {
+        return {
+            white: { kingside: !!rights.white.kingside, queenside: !!rights.white.queenside },
+            black: { kingside: !!rights.black.kingside, queenside: !!rights.black.queenside }
+        };
+    }
+
+    // ATTACK DETECTION
+
+    // Looks outward from the square for attackers, so it never needs move generation
+    function isSquareUnderAttack(board, row, col, defenderColor) {
+        const attackerIsWhite = defenderColor === 'black';
+        const own = piece => piece && (piece === piece.toUpperCase()) === attackerIsWhite;
+
+        // Pawns attack diagonally forward, so look one row behind them
+        const pawnRow = attackerIsWhite ? row + 1 : row - 1;
+        for (const dc of [-1, 1]) {
+            if (isValidSquare(pawnRow, col + dc)) {
+                const piece = board[pawnRow][col + dc];
+                if (own(piece) && piece.toLowerCase() === 'p') return true;
+            }
+        }
+
+        for (const [dr, dc] of KNIGHT_OFFSETS) {
+            const r = row + dr;
+            const c = col + dc;
+            if (isValidSquare(r, c) && own(board[r][c]) && board[r][c].toLowerCase() === 'n') return true;
+        }
+
+        for (const [dr, dc] of KING_OFFSETS) {
+            const r = row + dr;
+            const c = col + dc;
+            if (isValidSquare(r, c) && own(board[r][c]) && board[r][c].toLowerCase() === 'k') return true;
+        }
+
+        for (const [dr, dc] of QUEEN_DIRECTIONS) {
+            const diagonal = dr !== 0 && dc !== 0;
+            let r = row + dr;
+            let c = col + dc;
+            while (isValidSquare(r, c)) {
+                const piece = board[r][c];
+                if (piece) {
+                    if (own(piece)) {
+                        const type = piece.toLowerCase();
+                        if (type === 'q' || type === (diagonal ? 'b' : 'r')) return true;
+                    }
+                    break;
+                }
+                r += dr;
+                c += dc;
+            }
+        }
+
+        return false;
+    }
+
+    function findKing(board, color) {
+        const king = color === 'white' ? 'K' : 'k';
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                if (board[row][col] === king) return { row, col };
+            }
+        }
+        return null;
+    }
+
+    function isInCheck(board, color) {
+        const king = findKing(board, color);
+        return !!king && isSquareUnderAttack(board, king.row, king.col, color);
+    }
+
+    // STATIC EXCHANGE EVALUATION
+
+    // Material values for exchange sequences; the king only ever captures last
+    const SEE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 20000 };
+    const SEE_ORDER = ['p', 'n', 'b', 'r', 'q', 'k'];
+
+    // Cheapest piece of attackerColor attacking (row, col), or null. Pieces already
+    // removed from the board by the exchange uncover the sliders behind them.
+    function getLeastValuableAttacker(board, row, col, attackerColor) {
+        const attackerIsWhite = attackerColor === 'white';
+        const found = {};
+        const consider = (r, c) => {
+            const type = board[r][c].toLowerCase();
+            if (!found[type]) found[type] = { row: r, col: c };
+        };
+        const own = piece => piece && (piece === piece.toUpperCase()) === attackerIsWhite;
+
+        const pawnRow = attackerIsWhite ? row + 1 : row - 1;
+        for (const dc of [-1, 1]) {
+            if (isValidSquare(pawnRow, col + dc)) {
+                const piece = board[pawnRow][col + dc];
+                if (own(piece) && piece.toLowerCase() === 'p') return { row: pawnRow, col: col + dc };
+            }
+        }
+
+        for (const [dr, dc] of KNIGHT_OFFSETS) {
+            const r = row + dr;
+            const c = col + dc;
+            if (isValidSquare(r, c) && own(board[r][c]) && board[r][c].toLowerCase() === 'n') consider(r, c);
+        }
+
+        for (const [dr, dc] of KING_OFFSETS) {
+            const r = row + dr;
+            const c = col + dc;
+            if (isValidSquare(r, c) && own(board[r][c]) && board[r][c].toLowerCase() === 'k') consider(r, c);
+        }
+
+        for (const [dr, dc] of QUEEN_DIRECTIONS) {
+            const diagonal = dr !== 0 && dc !== 0;
+            let r = row + dr;
+            let c = col + dc;
+            while (isValidSquare(r, c)) {
+                const piece = board[r][c];
+                if (piece) {
+                    if (own(piece)) {
+                        const type = piece.toLowerCase();
+                        if (type === 'q' || type === (diagonal ? 'b' : 'r')) consider(r, c);
+                    }
+                    break;
+                }
+                r += dr;
+                c += dc;
+            }
+        }
+
+        for (const type of SEE_ORDER) {
+            if (found[type]) return found[type];
+        }
+        return null;
+    }
+
+    // Material the side making the move expects to win (positive) or lose (negative)
+    // once both sides have made every profitable recapture on the target square.
+    // Pins and checks are ignored. Quiet moves are scored as a capture of nothing,
+    // so a negative result also means the moved piece can be won.
+    function staticExchangeEvaluation(board, move) {
+        const { fromRow, fromCol, toRow, toCol } = move;
+        const piece = board[fromRow][fromCol];
+        const type = piece.toLowerCase();
+        let color = getPieceColor(piece);
+
+        // En passant removes a pawn that is not on the target square
+        const isEnPassant = type === 'p' && fromCol !== toCol && !board[toRow][toCol];
+        const target = board[toRow][toCol];
+        const gains = [target ? SEE_VALUES[target.toLowerCase()] : (isEnPassant ? SEE_VALUES.p : 0)];
+        let onSquare = SEE_VALUES[type];
+        if (isPromotionMove(board, fromRow, fromCol, toRow)) {
+            const promoted = SEE_VALUES[move.promotion || 'q'];
+            gains[0] += promoted - SEE_VALUES.p;
+            onSquare = promoted;
+        }
+
+        // Take the exchanged pieces off the board so x-ray attackers show up
+        const removed = [{ row: fromRow, col: fromCol, piece }];
+        board[fromRow][fromCol] = null;
+        if (isEnPassant) {
+            removed.push({ row: fromRow, col: toCol, piece: board[fromRow][toCol] });
+            board[fromRow][toCol] = null;
+        }
+
+        color = getOpponent(color);
+        let attacker = getLeastValuableAttacker(board, toRow, toCol, color);
+        while (attacker) {
+            const attackerPiece = board[attacker.row][attacker.col];
+            const attackerType = attackerPiece.toLowerCase();
+            // The king may only recapture if nothing can take it back
+            if (attackerType === 'k' && getLeastValuableAttacker(board, toRow, toCol, getOpponent(color))) break;
+
+            gains.push(onSquare - gains[gains.length - 1]);
+            onSquare = SEE_VALUES[attackerType];
+            if (attackerType === 'p' && (toRow === 0 || toRow === 7)) {
+                gains[gains.length - 1] += SEE_VALUES.q - SEE_VALUES.p;
+                onSquare = SEE_VALUES.q;
+            }
+
+            removed.push({ row: attacker.row, col: attacker.col, piece: attackerPiece });
+            board[attacker.row][attacker.col] = null;
+            color = getOpponent(color);
+            attacker = getLeastValuableAttacker(board, toRow, toCol, color);
+        }
+
+        for (const square of removed) {
+            board[square.row][square.col] = square.piece;
+        }
+
+        // Each side may stop the exchange whenever continuing would lose material
+        for (let i = gains.length - 1; i > 0; i--) {
+            gains[i - 1] = -Math.max(-gains[i - 1], gains[i]);
+        }
+        return gains[0];
+    }
+
+    // True for a capture that gives away more material than it wins
+    function hangsMaterial(board, move) {
+        const piece = board[move.fromRow][move.fromCol];
+        const isCapture = !!board[move.toRow][move.toCol] ||
+            (piece.toLowerCase() === 'p' && move.fromCol !== move.toCol);
+        return isCapture && staticExchangeEvaluation(board, move) < 0;
+    }
+
+    // MOVE GENERATION
+
+    // Pseudo-legal target squares for the piece on (row, col); may leave the king in check
+    function getPieceMoves(position, row, col) {
+        const board = position.board;
+        const piece = board[row][col];
+        if (!piece) return [];
+
+        switch (piece.toLowerCase()) {
+            case 'p': return getPawnMoves(position, row, col);
+            case 'n': return getStepMoves(board, row, col, KNIGHT_OFFSETS);
+            case 'b': return getSlidingMoves(board, row, col, BISHOP_DIRECTIONS);
+            case 'r': return getSlidingMoves(board, row, col, ROOK_DIRECTIONS);
+            case 'q': return getSlidingMoves(board, row, col, QUEEN_DIRECTIONS);
+            case 'k': return getStepMoves(board, row, col, KING_OFFSETS).concat(getCastlingMoves(position, row, col));
+            default: return [];
+        }
+    }
+
+    function getPawnMoves(position, row, col) {
+        const board = position.board;
+        const moves = [];
+        const piece = board[row][col];
+        const color = getPieceColor(piece);
+        const direction = color === 'white' ? -1 : 1;
+        const startRow = color === 'white' ? 6 : 1;
+        const ep = position.enPassantTarget;
+
+        if (isValidSquare(row + direction, col) && !board[row + direction][col]) {
+            moves.push({ row: row + direction, col });
+
+            if (row === startRow && !board[row + 2 * direction][col]) {
+                moves.push({ row: row + 2 * direction, col });
+            }
+        }
+
+        for (const colOffset of [-1, 1]) {
+            const newRow = row + direction;
+            const newCol = col + colOffset;
+            if (!isValidSquare(newRow, newCol)) continue;
+
+            const targetPiece = board[newRow][newCol];
+            if (targetPiece && getPieceColor(targetPiece) !== color) {
+                moves.push({ row: newRow, col: newCol });
+            } else if (!targetPiece && ep && ep.row === newRow && ep.col === newCol) {
+                // En passant only captures an enemy pawn that sits beside this pawn
+                const passedPawn = board[row][newCol];
+                if (passedPawn && passedPawn.toLowerCase() === 'p' && getPieceColor(passedPawn) !== color) {
+                    moves.push({ row: newRow, col: newCol });
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    function getStepMoves(board, row, col, offsets) {
+        const moves = [];
+        const color = getPieceColor(board[row][col]);
+
+        for (const [rowOffset, colOffset] of offsets) {
+            const newRow = row + rowOffset;
+            const newCol = col + colOffset;
+            if (isValidSquare(newRow, newCol)) {
+                const targetPiece = board[newRow][newCol];
+                if (!targetPiece || getPieceColor(targetPiece) !== color) {
+                    moves.push({ row: newRow, col: newCol });
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    function getSlidingMoves(board, row, col, directions) {
+        const moves = [];
+        const color = getPieceColor(board[row][col]);
+
+        for (const [rowDir, colDir] of directions) {
+            let newRow = row + rowDir;
+            let newCol = col + colDir;
+
+            while (isValidSquare(newRow, newCol)) {
+                const targetPiece = board[newRow][newCol];
+                if (!targetPiece) {
+                    moves.push({ row: newRow, col: newCol });
+                } else {
+                    if (getPieceColor(targetPiece) !== color) {
+                        moves.push({ row: newRow, col: newCol });
+                    }
+                    break;
+                }
+                newRow += rowDir;
+                newCol += colDir;
+            }
+        }
+
+        return moves;
+    }
+
+    function getCastlingMoves(position, row, col) {
+        const board = position.board;
+        const color = getPieceColor(board[row][col]);
+        const homeRow = color === 'white' ? 7 : 0;
+        const rook = color === 'white' ? 'R' : 'r';
+        const rights = position.castlingRights && position.castlingRights[color];
+        const moves = [];
+
+        if (!rights || row !== homeRow || col !== 4 || isSquareUnderAttack(board, row, 4, color)) {
+            return moves;
+        }
+
+        if (rights.kingside && board[row][7] === rook &&
+            !board[row][5] && !board[row][6] &&
+            !isSquareUnderAttack(board, row, 5, color) &&
+            !isSquareUnderAttack(board, row, 6, color)) {
+            moves.push({ row, col: 6 });
+        }
+        if (rights.queenside && board[row][0] === rook &&
+            !board[row][1] && !board[row][2] && !board[row][3] &&
+            !isSquareUnderAttack(board, row, 3, color) &&
+            !isSquareUnderAttack(board, row, 2, color)) {
+            moves.push({ row, col: 2 });
+        }
+
+        return moves;
+    }
+
+    // MAKE / UNMAKE
+
+    // Plays a move on the position in place and returns what unmakeMove needs to take it back
+    function makeMove(position, move) {
+        const board = position.board;
+        const { fromRow, fromCol, toRow, toCol } = move;
+        const piece = board[fromRow][fromCol];
+        const color = getPieceColor(piece);
+        const pieceType = piece.toLowerCase();
+
+        const undo = {
+            piece,
+            captured: board[toRow][toCol],
+            capturedRow: toRow,
+            capturedCol: toCol,
+            rookFromCol: null,
+            rookToCol: null,
+            castlingRights: position.castlingRights ? cloneCastlingRights(position.castlingRights) : null,
+            enPassantTarget: position.enPassantTarget,
+            halfmoveClock: position.halfmoveClock,
+            fullmoveNumber: position.fullmoveNumber,
+            currentTurn: position.currentTurn
+        };
+
+        // En passant removes the pawn beside the mover, not the one on the target square
+        if (pieceType === 'p' && fromCol !== toCol && !undo.captured) {
+            undo.capturedRow = fromRow;
+            undo.captured = board[fromRow][toCol];
+            board[fromRow][toCol] = null;
+        }
+
+        if (pieceType === 'k' && Math.abs(toCol - fromCol) === 2) {
+            undo.rookFromCol = toCol > fromCol ? 7 : 0;
+            undo.rookToCol = toCol > fromCol ? toCol - 1 : toCol + 1;
+            board[toRow][undo.rookToCol] = board[toRow][undo.rookFromCol];
+            board[toRow][undo.rookFromCol] = null;
+        }
+
+        board[toRow][toCol] = piece;
+        board[fromRow][fromCol] = null;
+
+        if (pieceType === 'p' && (toRow === 0 || toRow === 7)) {
+            const promoted = move.promotion || 'q';
+            board[toRow][toCol] = color === 'white' ? promoted.toUpperCase() : promoted.toLowerCase();
+        }
+
+        // A right is lost once its king or rook has left (or been taken from) its home square
+        if (position.castlingRights) {
+            const rights = cloneCastlingRights(position.castlingRights);
+            rights.white.kingside = rights.white.kingside && board[7][4] === 'K' && board[7][7] === 'R';
+            rights.white.queenside = rights.white.queenside && board[7][4] === 'K' && board[7][0] === 'R';
+            rights.black.kingside = rights.black.kingside && board[0][4] === 'k' && board[0][7] === 'r';
+            rights.black.queenside = rights.black.queenside && board[0][4] === 'k' && board[0][0] === 'r';
+            position.castlingRights = rights;
+        }
+
+        position.enPassantTarget = pieceType === 'p' && Math.abs(toRow - fromRow) === 2 ?
+            { row: (fromRow + toRow) / 2, col: fromCol } : null;
+        position.halfmoveClock = pieceType === 'p' || undo.captured ? 0 : (position.halfmoveClock || 0) + 1;
+        position.fullmoveNumber = (position.fullmoveNumber || 1) + (color === 'black' ? 1 : 0);
+        position.currentTurn = getOpponent(color);
+
+        return undo;
+    }
+
+    function unmakeMove(position, move, undo) {
+        const board = position.board;
+        const { fromRow, fromCol, toRow, toCol } = move;
+
+        board[fromRow][fromCol] = undo.piece;
+        board[toRow][toCol] = null;
+        board[undo.capturedRow][undo.capturedCol] = undo.captured;
+
+        if (undo.rookFromCol !== null) {
+            board[toRow][undo.rookFromCol] = board[toRow][undo.rookToCol];
+            board[toRow][undo.rookToCol] = null;
+        }
+
+        position.castlingRights = undo.castlingRights;
+        position.enPassantTarget = undo.enPassantTarget;
+        position.halfmoveClock = undo.halfmoveClock;
+        position.fullmoveNumber = undo.fullmoveNumber;
+        position.currentTurn = undo.currentTurn;
+    }
+
+    // LEGAL MOVES
+
+    function isLegalMove(position, move) {
+        const color = getPieceColor(position.board[move.fromRow][move.fromCol]);
+        const undo = makeMove(position, move);
+        const legal = !isInCheck(position.board, color);
+        unmakeMove(position, move, undo);
+        return legal;
+    }
+
+    // Legal target squares for one piece; a promotion square appears once (the UI asks for the piece)
+    function getValidMovesForPiece(position, row, col) {
+        return getPieceMoves(position, row, col).filter(target =>
+            isLegalMove(position, { fromRow: row, fromCol: col, toRow: target.row, toCol: target.col })
+        );
+    }
+
+    // Every legal move for a colour (the side to move by default), promotions expanded per piece
+    function getLegalMoves(position, color = position.currentTurn) {
+        const board = position.board;
+        const moves = [];
+
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (!piece || getPieceColor(piece) !== color) continue;
+
+                for (const target of getValidMovesForPiece(position, row, col)) {
+                    if (isPromotionMove(board, row, col, target.row)) {
+                        for (const promotion of PROMOTION_PIECES) {
+                            moves.push({ fromRow: row, fromCol: col, toRow: target.row, toCol: target.col, promotion });
+                        }
+                    } else {
+                        moves.push({ fromRow: row, fromCol: col, toRow: target.row, toCol: target.col });
+                    }
+                }
+            }
+        }
+
+        return moves;
+    }
+
+    function hasAnyLegalMoves(position, color = position.currentTurn) {
+        const board = position.board;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (piece && getPieceColor(piece) === color && getValidMovesForPiece(position, row, col).length > 0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // NOTATION
+
+    // Standard Algebraic Notation for a legal move, e.g. "Nbd2", "R1e1", "exd6", "O-O-O", "e8=Q+", "Qh7#"
+    function getSAN(position, move) {
+        const board = position.board;
+        const { fromRow, fromCol, toRow, toCol } = move;
+        const piece = board[fromRow][fromCol];
+        const pieceType = piece.toLowerCase();
+        const color = getPieceColor(piece);
+        const toSquare = squareToNotation(toRow, toCol);
+        let notation;
+
+        if (pieceType === 'k' && Math.abs(toCol - fromCol) === 2) {
+            notation = toCol > fromCol ? 'O-O' : 'O-O-O';
+        } else if (pieceType === 'p') {
+            notation = (fromCol !== toCol ? String.fromCharCode(97 + fromCol) + 'x' : '') + toSquare;
+            if (toRow === 0 || toRow === 7) {
+                notation += '=' + (move.promotion || 'q').toUpperCase();
+            }
+        } else {
+            const capture = board[toRow][toCol] ? 'x' : '';
+            notation = piece.toUpperCase() + getDisambiguation(position, move) + capture + toSquare;
+        }
+
+        const undo = makeMove(position, move);
+        const opponent = getOpponent(color);
+        let suffix = '';
+        if (isInCheck(board, opponent)) {
+            suffix = hasAnyLegalMoves(position, opponent) ? '+' : '#';
+        }
+        unmakeMove(position, move, undo);
+
+        return notation + suffix;
+    }
+
+    // File, rank or full square needed when another piece of the same kind can reach the target
+    function getDisambiguation(position, move) {
+        const board = position.board;
+        const piece = board[move.fromRow][move.fromCol];
+        const rivals = [];
+
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                if ((row === move.fromRow && col === move.fromCol) || board[row][col] !== piece) continue;
+                if (getValidMovesForPiece(position, row, col).some(m => m.row === move.toRow && m.col === move.toCol)) {
+                    rivals.push({ row, col });
+                }
+            }
+        }
+
+        if (rivals.length === 0) return '';
+
+        const from = squareToNotation(move.fromRow, move.fromCol);
+        if (!rivals.some(r => r.col === move.fromCol)) return from[0];
+        if (!rivals.some(r => r.row === move.fromRow)) return from[1];
+        return from;
+    }
+
+    // FEN
+
+    function generateFEN(position) {
+        const board = position.board;
+        let fen = '';
+
+        for (let row = 0; row < 8; row++) {
+            let emptyCount = 0;
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (piece) {
+                    if (emptyCount > 0) {
+                        fen += emptyCount;
+                        emptyCount = 0;
+                    }
+                    fen += piece;
+                } else {
+                    emptyCount++;
+                }
+            }
+            if (emptyCount > 0) fen += emptyCount;
+            if (row < 7) fen += '/';
+        }
+
+        fen += ' ' + (position.currentTurn === 'white' ? 'w' : 'b');
+
+        let castling = '';
+        const rights = position.castlingRights;
+        if (rights) {
+            if (rights.white.kingside) castling += 'K';
+            if (rights.white.queenside) castling += 'Q';
+            if (rights.black.kingside) castling += 'k';
+            if (rights.black.queenside) castling += 'q';
+        }
+        fen += ' ' + (castling || '-');
+
+        const ep = position.enPassantTarget;
+        fen += ' ' + (ep ? squareToNotation(ep.row, ep.col) : '-');
+
+        fen += ' ' + (position.halfmoveClock || 0) + ' ' + (position.fullmoveNumber || 1);
+
+        return fen;
+    }
+
+    // Strict parser for all six FEN fields; throws an Error naming the first problem found
+    function parseFEN(fen) {
+        const parts = String(fen).trim().split(/\s+/);
+        if (parts.length !== 6) {
+            throw new Error(`Invalid FEN "${fen}": expected 6 fields, found ${parts.length}`);
+        }
+        const [placement, turn, castling, enPassant, halfmove, fullmove] = parts;
+
+        const rows = placement.split('/');
+        if (rows.length !== 8) {
+            throw new Error(`Invalid FEN "${fen}": piece placement needs 8 ranks, found ${rows.length}`);
+        }
+
+        const board = [];
+        for (let i = 0; i < 8; i++) {
+            board[i] = [];
+            for (const char of rows[i]) {
+                if (char >= '1' && char <= '8') {
+                    for (let j = 0; j < parseInt(char); j++) board[i].push(null);
+                } else if ('pnbrqkPNBRQK'.includes(char)) {
+                    board[i].push(char);
+                } else {
+                    throw new Error(`Invalid FEN "${fen}": unexpected character "${char}" on rank ${8 - i}`);
+                }
+            }
+            if (board[i].length !== 8) {
+                throw new Error(`Invalid FEN "${fen}": rank ${8 - i} has ${board[i].length} squares instead of 8`);
+            }
+        }
+
+        if (turn !== 'w' && turn !== 'b') {
+            throw new Error(`Invalid FEN "${fen}": side to move must be "w" or "b", not "${turn}"`);
+        }
+        if (castling !== '-' && !/^K?Q?k?q?$/.test(castling)) {
+            throw new Error(`Invalid FEN "${fen}": castling field "${castling}" must be "-" or a subset of "KQkq" in that order`);
+        }
+        if (enPassant !== '-' && !/^[a-h][36]$/.test(enPassant)) {
+            throw new Error(`Invalid FEN "${fen}": en passant field "${enPassant}" must be "-" or a square on rank 3 or 6`);
+        }
+        if (!/^\d+$/.test(halfmove)) {
+            throw new Error(`Invalid FEN "${fen}": halfmove clock "${halfmove}" is not a number`);
+        }
+        if (!/^\d+$/.test(fullmove) || parseInt(fullmove) < 1) {
+            throw new Error(`Invalid FEN "${fen}": fullmove number "${fullmove}" must be a positive number`);
+        }
+
+        return {
+            board,
+            currentTurn: turn === 'w' ? 'white' : 'black',
+            castlingRights: {
+                white: { kingside: castling.includes('K'), queenside: castling.includes('Q') },
+                black: { kingside: castling.includes('k'), queenside: castling.includes('q') }
+            },
+            enPassantTarget: enPassant === '-' ? null : notationToSquare(enPassant),
+            halfmoveClock: parseInt(halfmove),
+            fullmoveNumber: parseInt(fullmove)
+        };
+    }
+
+    // Throws an Error if a parsed position could not arise in a game (or could not be played from)
+    function validatePosition(position) {
+        const board = position.board;
+        const fen = generateFEN(position);
+        const fail = reason => { throw new Error(`Illegal position "${fen}": ${reason}`); };
+
+        for (const color of ['white', 'black']) {
+            const king = color === 'white' ? 'K' : 'k';
+            const count = board.reduce((n, row) => n + row.filter(piece => piece === king).length, 0);
+            if (count !== 1) fail(`${color} has ${count} kings, expected exactly 1`);
+        }
+
+        for (const row of [0, 7]) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (piece && piece.toLowerCase() === 'p') {
+                    fail(`pawn on ${squareToNotation(row, col)}; pawns can't stand on the first or last rank`);
+                }
+            }
+        }
+
+        const opponent = getOpponent(position.currentTurn);
+        if (isInCheck(board, opponent)) {
+            fail(`${opponent} is in check but it is ${position.currentTurn} to move`);
+        }
+
+        const rights = position.castlingRights;
+        for (const color of ['white', 'black']) {
+            const homeRow = color === 'white' ? 7 : 0;
+            const king = color === 'white' ? 'K' : 'k';
+            const rook = color === 'white' ? 'R' : 'r';
+            for (const [side, rookCol] of [['kingside', 7], ['queenside', 0]]) {
+                if (rights[color][side] && (board[homeRow][4] !== king || board[homeRow][rookCol] !== rook)) {
+                    fail(`${color} can't castle ${side} without the king on ${squareToNotation(homeRow, 4)} ` +
+                        `and a rook on ${squareToNotation(homeRow, rookCol)}`);
+                }
+            }
+        }
+
+        const ep = position.enPassantTarget;
+        if (ep) {
+            // The pawn that just moved two squares stands in front of the target, with both squares behind it empty
+            const expectedRow = position.currentTurn === 'white' ? 2 : 5;
+            const pawnRow = position.currentTurn === 'white' ? 3 : 4;
+            const startRow = position.currentTurn === 'white' ? 1 : 6;
+            const pawn = position.currentTurn === 'white' ? 'p' : 'P';
+            if (ep.row !== expectedRow || board[pawnRow][ep.col] !== pawn ||
+                board[ep.row][ep.col] || board[startRow][ep.col]) {
+                fail(`en passant square ${squareToNotation(ep.row, ep.col)} doesn't follow a two-square pawn move`);
+            }
+        }
+    }
+
+    // Whether the side to move has a legal en passant capture. Only then does the en
+    // passant square make a position different from the same one without it.
+    function hasLegalEnPassantCapture(position) {
+        const ep = position.enPassantTarget;
+        if (!ep) return false;
+
+        const pawn = position.currentTurn === 'white' ? 'P' : 'p';
+        const pawnRow = position.currentTurn === 'white' ? 3 : 4;
+        return [ep.col - 1, ep.col + 1].some(col =>
+            col >= 0 && col < 8 && position.board[pawnRow][col] === pawn &&
+            isLegalMove(position, { fromRow: pawnRow, fromCol: col, toRow: ep.row, toCol: ep.col })
+        );
+    }
+
+    // Placement, side to move, castling rights and en passant square (when the capture
+    // can be made): what makes positions repeat
+    function getPositionKey(fen) {
+        const fields = fen.split(' ').slice(0, 4);
+        if (fields[3] !== '-' && !hasLegalEnPassantCapture(parseFEN(fen))) {
+            fields[3] = '-';
+        }
+        return fields.join(' ');
+    }
+
+    // DRAW RULES
+
+    // K vs K, K+minor vs K, and kings with bishops that all stand on one square colour
+    function isInsufficientMaterial(board) {
+        const minors = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (!piece || piece.toLowerCase() === 'k') continue;
+                if (piece.toLowerCase() !== 'n' && piece.toLowerCase() !== 'b') return false;
+                minors.push({ type: piece.toLowerCase(), squareColor: (row + col) % 2 });
+            }
+        }
+
+        if (minors.length <= 1) return true;
+        return minors.every(m => m.type === 'b' && m.squareColor === minors[0].squareColor);
+    }
+
+    function countRepetitions(position, positionHistory) {
+        const key = getPositionKey(generateFEN(position));
+        return positionHistory.filter(fen => getPositionKey(fen) === key).length;
+    }
+
+    // Why the position is a draw (with the side to move still having moves), or null
+    function getDrawReason(position, positionHistory = []) {
+        if (isInsufficientMaterial(position.board)) return 'insufficient material';
+        if ((position.halfmoveClock || 0) >= 100) return 'fifty-move rule';
+        if (countRepetitions(position, positionHistory) >= 3) return 'threefold repetition';
+        return null;
+    }
+
+    const ChessRules = {
+        PROMOTION_PIECES,
+        START_FEN,
+        isValidSquare,
+        getPieceColor,
+        getOpponent,
+        squareToNotation,
+        notationToSquare,
+        isPromotionMove,
+        isSquareUnderAttack,
+        findKing,
+        isInCheck,
+        staticExchangeEvaluation,
+        hangsMaterial,
+        getPieceMoves,
+        makeMove,
+        unmakeMove,
+        isLegalMove,
+        getValidMovesForPiece,
+        getLegalMoves,
+        hasAnyLegalMoves,
+        getSAN,
+        generateFEN,
+        parseFEN,
+        validatePosition,
+        hasLegalEnPassantCapture,
+        getPositionKey,
+        isInsufficientMaterial,
+        countRepetitions,
+        getDrawReason
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ChessRules;
+    } else {
+        root.ChessRules = ChessRules;
+    }
+})(typeof self !== 'undefined' ? self : this);
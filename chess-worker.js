@@ -5,8 +5,42 @@
  * to keep the UI responsive. Communicates with main thread via postMessage.
  *
  * Message Protocol:
- * - FROM MAIN: { type: 'search', board, settings, aiColor, castlingRights, enPassantTarget, positionHistory, currentTurn }
- * - TO MAIN: { type: 'move', move } or { type: 'progress', depth, nodes, score }
+ * 'search', 'analyze' and 'evaluate' requests carry an id (increasing numbers chosen by the main
+ * thread) that every reply to them echoes, so replies to requests that were since stopped or
+ * replaced can be told apart and ignored. A search or analysis runs one iteration per task, so
+ * messages are handled between iterations; a new 'search' or 'analyze' ends the running one.
+ * - FROM MAIN: { type: 'book', book } with the opening book (see opening-book.js), once at startup
+ * - FROM MAIN: { type: 'bitbase', bitbase } with the KPK bitbase as a Uint8Array (see kpk.js), once at startup
+ * - FROM MAIN: { type: 'search', board, settings, aiColor, castlingRights, enPassantTarget, positionHistory,
+ *   currentTurn, fullmoveNumber, id, helper? }. With settings.seed (an unsigned 32-bit integer) the
+ *   search is reproducible: the same seed, settings and game always give the same move.
+ * - TO MAIN: { type: 'progress', id, depth, nodes, nps, time, score, mate, pv } after every completed depth,
+ *   then exactly one { type: 'move', id, move, score, depth, nodes, nps, time, book, mistake } (scores from aiColor's point
+ *   of view; book is true for a move played from the opening book without searching, mistake for a
+ *   deliberate mistake)
+ * - FROM MAIN: { type: 'evaluate', board, settings, castlingRights, enPassantTarget, currentTurn, id }
+ * - TO MAIN: { type: 'evaluation', id, terms: { white, black }, score }
+ *   (terms per side are { material, pieceSquare, mobility, pawnStructure, kingSafety } in
+ *   centipawns; score is white's total minus black's)
+ * - FROM MAIN: { type: 'analyze', fen, board, settings, castlingRights, enPassantTarget, positionHistory,
+ *   currentTurn, multiPV?, depth?, id, helper? }
+ * - TO MAIN: { type: 'analysis', id, fen, depth, score, mate, nodes, nps, time, pv, lines, done } after every
+ *   iteration until a 'stop', a new request, the requested depth, or a forced mate. Scores are from
+ *   white's point of view; mate is moves to mate (negative when black mates) or null; pv is a list
+ *   of moves. lines holds the best multiPV (default 1) root moves as { score, mate, pv }, best
+ *   first, and score/mate/pv repeat the first line. done is true on the last reply.
+ *   fen is echoed from the request.
+ *   (moves are { fromRow, fromCol, toRow, toCol, promotion? } with promotion one of 'q', 'r', 'b', 'n')
+ * - FROM MAIN: { type: 'share-tt' } moves the transposition table into a SharedArrayBuffer and
+ *   replies { type: 'tt', buffer }; { type: 'tt', buffer } makes a worker use that table too.
+ *   helper (1, 2, ...) marks a Lazy SMP helper searching alongside the main worker on the shared
+ *   table: it starts at a staggered depth, never plays book moves or makes deliberate mistakes and
+ *   leaves clearing and ageing the table to the main worker (see search-pool.js).
+ * - FROM MAIN: { type: 'stop', id? } ends request id (or, without an id, whatever is running) at the
+ *   next iteration; a search still replies with its best move so far.
+ * - FROM MAIN: { type: 'abort-flag', buffer } with a SharedArrayBuffer holding one Int32. The main thread
+ *   stores the id of a request there before stopping it, and the search checks it as it goes, so the
+ *   stop takes effect within the running iteration instead of after it.
  */
 
 // Piece values for evaluation
@@ -15,8 +49,9 @@ const PIECE_VALUES = {
     'P': 100, 'N': 320, 'B': 330, 'R': 500, 'Q': 900, 'K': 20000
 };
 
-// Piece-square tables for positional evaluation
-const PAWN_TABLE = [
+// Piece-square tables for positional evaluation, middlegame and endgame.
+// Laid out as seen from white: index 0 is a8, index 63 is h1.
+const PAWN_MG_TABLE = [
     0,  0,  0,  0,  0,  0,  0,  0,
     50, 50, 50, 50, 50, 50, 50, 50,
     10, 10, 20, 30, 30, 20, 10, 10,
@@ -27,7 +62,18 @@ const PAWN_TABLE = [
     0,  0,  0,  0,  0,  0,  0,  0
 ];
 
-const KNIGHT_TABLE = [
+const PAWN_EG_TABLE = [
+    0,  0,  0,  0,  0,  0,  0,  0,
+    80, 80, 80, 80, 80, 80, 80, 80,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    30, 30, 30, 30, 30, 30, 30, 30,
+    15, 15, 15, 15, 15, 15, 15, 15,
+    5,  5,  5,  5,  5,  5,  5,  5,
+    0,  0,  0,  0,  0,  0,  0,  0,
+    0,  0,  0,  0,  0,  0,  0,  0
+];
+
+const KNIGHT_MG_TABLE = [
     -50,-40,-30,-30,-30,-30,-40,-50,
     -40,-20,  0,  0,  0,  0,-20,-40,
     -30,  0, 10, 15, 15, 10,  0,-30,
@@ -38,7 +84,18 @@ const KNIGHT_TABLE = [
     -50,-40,-30,-30,-30,-30,-40,-50
 ];
 
-const BISHOP_TABLE = [
+const KNIGHT_EG_TABLE = [
+    -50,-40,-30,-30,-30,-30,-40,-50,
+    -40,-20,-10, -5, -5,-10,-20,-40,
+    -30,-10,  5, 10, 10,  5,-10,-30,
+    -30, -5, 10, 15, 15, 10, -5,-30,
+    -30, -5, 10, 15, 15, 10, -5,-30,
+    -30,-10,  5, 10, 10,  5,-10,-30,
+    -40,-20,-10, -5, -5,-10,-20,-40,
+    -50,-40,-30,-30,-30,-30,-40,-50
+];
+
+const BISHOP_MG_TABLE = [
     -20,-10,-10,-10,-10,-10,-10,-20,
     -10,  0,  0,  0,  0,  0,  0,-10,
     -10,  0,  5, 10, 10,  5,  0,-10,
@@ -49,7 +106,62 @@ const BISHOP_TABLE = [
     -20,-10,-10,-10,-10,-10,-10,-20
 ];
 
-const KING_TABLE = [
+const BISHOP_EG_TABLE = [
+    -20,-10,-10,-10,-10,-10,-10,-20,
+    -10,  0,  0,  0,  0,  0,  0,-10,
+    -10,  0, 10, 10, 10, 10,  0,-10,
+    -10,  0, 10, 15, 15, 10,  0,-10,
+    -10,  0, 10, 15, 15, 10,  0,-10,
+    -10,  0, 10, 10, 10, 10,  0,-10,
+    -10,  0,  0,  0,  0,  0,  0,-10,
+    -20,-10,-10,-10,-10,-10,-10,-20
+];
+
+const ROOK_MG_TABLE = [
+    0,  0,  0,  0,  0,  0,  0,  0,
+    5, 10, 10, 10, 10, 10, 10,  5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+    -5,  0,  0,  0,  0,  0,  0, -5,
+    0,  0,  0,  5,  5,  0,  0,  0
+];
+
+const ROOK_EG_TABLE = [
+    0,  0,  0,  0,  0,  0,  0,  0,
+    10, 10, 10, 10, 10, 10, 10, 10,
+    0,  0,  0,  0,  0,  0,  0,  0,
+    0,  0,  0,  0,  0,  0,  0,  0,
+    0,  0,  0,  0,  0,  0,  0,  0,
+    0,  0,  0,  0,  0,  0,  0,  0,
+    0,  0,  0,  0,  0,  0,  0,  0,
+    0,  0,  0,  0,  0,  0,  0,  0
+];
+
+const QUEEN_MG_TABLE = [
+    -20,-10,-10, -5, -5,-10,-10,-20,
+    -10,  0,  0,  0,  0,  0,  0,-10,
+    -10,  0,  5,  5,  5,  5,  0,-10,
+    -5,  0,  5,  5,  5,  5,  0, -5,
+    0,  0,  5,  5,  5,  5,  0, -5,
+    -10,  5,  5,  5,  5,  5,  0,-10,
+    -10,  0,  5,  0,  0,  0,  0,-10,
+    -20,-10,-10, -5, -5,-10,-10,-20
+];
+
+const QUEEN_EG_TABLE = [
+    -20,-10,-10, -5, -5,-10,-10,-20,
+    -10,  0,  5,  5,  5,  5,  0,-10,
+    -10,  5, 10, 10, 10, 10,  5,-10,
+    -5,  5, 10, 15, 15, 10,  5, -5,
+    -5,  5, 10, 15, 15, 10,  5, -5,
+    -10,  5, 10, 10, 10, 10,  5,-10,
+    -10,  0,  5,  5,  5,  5,  0,-10,
+    -20,-10,-10, -5, -5,-10,-10,-20
+];
+
+const KING_MG_TABLE = [
     -30,-40,-40,-50,-50,-40,-40,-30,
     -30,-40,-40,-50,-50,-40,-40,-30,
     -30,-40,-40,-50,-50,-40,-40,-30,
@@ -60,157 +172,345 @@ const KING_TABLE = [
     20, 30, 10,  0,  0, 10, 30, 20
 ];
 
+const KING_EG_TABLE = [
+    -50,-40,-30,-20,-20,-30,-40,-50,
+    -30,-20,-10,  0,  0,-10,-20,-30,
+    -30,-10, 20, 30, 30, 20,-10,-30,
+    -30,-10, 30, 40, 40, 30,-10,-30,
+    -30,-10, 30, 40, 40, 30,-10,-30,
+    -30,-10, 20, 30, 30, 20,-10,-30,
+    -30,-30,  0,  0,  0,  0,-30,-30,
+    -50,-30,-30,-30,-30,-30,-30,-50
+];
+
+const MG_TABLES = {
+    p: PAWN_MG_TABLE, n: KNIGHT_MG_TABLE, b: BISHOP_MG_TABLE,
+    r: ROOK_MG_TABLE, q: QUEEN_MG_TABLE, k: KING_MG_TABLE
+};
+const EG_TABLES = {
+    p: PAWN_EG_TABLE, n: KNIGHT_EG_TABLE, b: BISHOP_EG_TABLE,
+    r: ROOK_EG_TABLE, q: QUEEN_EG_TABLE, k: KING_EG_TABLE
+};
+
+// Game phase from non-pawn material: 24 with every piece on the board, 0 with none
+const PHASE_WEIGHTS = { p: 0, n: 1, b: 1, r: 2, q: 4, k: 0 };
+const MAX_PHASE = 24;
+
+// Piece placement bonuses as [middlegame, endgame]
+const BISHOP_PAIR_BONUS = [30, 50];
+const ROOK_OPEN_FILE_BONUS = [25, 10];
+const ROOK_SEMI_OPEN_FILE_BONUS = [12, 5];
+const KNIGHT_OUTPOST_BONUS = [25, 15];
+const BISHOP_OUTPOST_BONUS = [12, 6];
+
+// Search parameters
+const INFINITY_SCORE = 1000000;
+const MAX_PLY = 64;           // Hard limit on search path length (check extensions)
+const ASPIRATION_WINDOW = 50; // Initial half-width of the root window in centipawns
+const LMR_MIN_MOVES = 3;      // Moves searched at full depth before late move reductions
+const MAX_ANALYSIS_DEPTH = MAX_PLY / 2; // Leaves room for check extensions below the deepest iteration
+
+// King and pawn against king scores from the bitbase: a win is worth more than the
+// pawn and less than a queen, so promoting still looks best, plus a bonus per rank
+// the pawn has advanced so the winning side makes progress
+const KPK_WIN_SCORE = 500;
+const KPK_PAWN_STEP_BONUS = 25;
+
+// Deliberate mistakes (see maybeBlunder). Miss chances are relative weights for how
+// easily a move is overlooked; NO_MISTAKE_WEIGHT is the weight of seeing every threat.
+const MIN_MISTAKE_LOSS = 50;
+const MISS_CHANCE_KNIGHT = 1.0;
+const MISS_CHANCE_LONG_DIAGONAL = 1.0;
+const MISS_CHANCE_BACK_RANK = 1.0;
+const MISS_CHANCE_LONG_LINE = 0.5;
+const MISS_CHANCE_SHORT = 0.1;
+const UNKNOWN_REFUTATION_MISS_CHANCE = 0.3; // Lost to a quiet, positional line
+const QUIET_MOVE_MISS_FACTOR = 1.5;         // Threats are harder to see than captures and checks
+const RECAPTURE_MISS_FACTOR = 0.5;          // Taking the piece that just moved is the first thing anyone checks
+const OWN_SHOT_MISS_FACTOR = 0.5;           // Own chances are missed less often than the opponent's
+const NO_MISTAKE_WEIGHT = 0.5;
+// The chance of a mistake is mistakeRate times 0.25 in the simplest positions up to
+// 1.75 in the most complex; typical middlegames come out close to mistakeRate itself
+const SIMPLE_POSITION_MISTAKE_FACTOR = 0.25;
+const COMPLEX_POSITION_MISTAKE_FACTOR = 1.5;
+const COMPLEX_POSITION_CAPTURES = 8;
+const COMPLEX_POSITION_MOVES = 40;
+
+// Move generation, legality and FEN shared with the main thread, opening book and
+// KPK bitbase lookups
+importScripts('chess-rules.js', 'opening-book.js', 'kpk.js');
+
 // Worker state
-let board = null;
+let position = null; // { board, currentTurn, castlingRights, enPassantTarget, fullmoveNumber }
+let board = null;    // position.board, kept as a shorthand for evaluation
 let aiColor = null;
-let currentTurn = null;
-let castlingRights = null;
-let enPassantTarget = null;
-let positionHistory = [];
-let transpositionTable = new Map();
-let killerMoves = Array(20).fill(null).map(() => []);
+let ttSearchKey = null; // aiColor and settings the table's scores were computed with
+let killerMoves = Array(MAX_PLY).fill(null).map(() => []);
 let historyTable = {};
 let nodesSearched = 0;
 let forceTimeout = false;
+let requestId = 0;        // id of the current 'search' or 'analyze' request, 0 without one
+let activeSearch = null;  // { timer, finish } while a search or analysis has iterations to go
+let abortFlag = null;     // Int32Array over shared memory, set by an 'abort-flag' message
+let openingBook = null;   // Set by a 'book' message
+let kpkBitbase = null;    // Set by a 'bitbase' message
+let helperIndex = 0;      // 0 for the main search, 1.. for Lazy SMP helpers (see search-pool.js)
+let random = Math.random; // Source of the AI's randomness, seeded when settings.seed is set
+
+// Principal variation: pvLines[ply] is the best line found from that ply on
+const pvLines = Array.from({ length: MAX_PLY + 1 }, () => []);
 
 // Handle messages from main thread
 self.onmessage = function(e) {
     const { type, ...data } = e.data;
 
     if (type === 'search') {
-        // Initialize worker state from message
-        board = data.board;
+        stopActiveSearch();
+        setupSearch(data);
         aiColor = data.aiColor;
-        currentTurn = data.currentTurn;
-        castlingRights = data.castlingRights;
-        enPassantTarget = data.enPassantTarget;
-        positionHistory = data.positionHistory || [];
 
-        const settings = data.settings;
+        const id = data.id;
+        const seeded = data.settings.seed !== undefined && data.settings.seed !== null;
+        const settings = seeded ? prepareSeededSearch(data.settings) : data.settings;
         const startTime = Date.now();
-        const deadline = startTime + Math.floor(settings.timePerMove * 0.9); // Finish 10% early
-
-        forceTimeout = false;
-        nodesSearched = 0;
-
-        // Clear transposition table if too large
-        if (transpositionTable.size > 100000) {
-            transpositionTable.clear();
-        }
-
-        // Find best move
-        const result = getBestMove(settings, deadline, startTime);
+        const deadline = seeded ? Infinity :
+            startTime + Math.floor(settings.timePerMove * 0.9); // Finish 10% early
+        random = seeded ? createRandom(settings.seed, getPly()) : Math.random;
 
-        // Send result back to main thread
-        self.postMessage({
+        const reply = (result, book) => self.postMessage({
             type: 'move',
+            id,
             move: result.move,
             score: result.score,
             depth: result.depth,
             nodes: nodesSearched,
-            time: Date.now() - startTime
+            nps: getNodesPerSecond(startTime),
+            time: Date.now() - startTime,
+            book,
+            mistake: Boolean(result.mistake)
+        });
+
+        // Play from the opening book while the position is in it, otherwise search.
+        // Helpers always search: the main worker picks the book move.
+        const bookMove = helperIndex === 0 && OpeningBook.pickBookMove(openingBook, position, settings, random);
+        if (bookMove) {
+            reply({ move: bookMove, score: 0, depth: 0 }, true);
+        } else {
+            startSearch(id, settings, deadline, startTime, result => reply(result, false));
+        }
+    } else if (type === 'analyze') {
+        stopActiveSearch();
+        setupSearch(data);
+        // Search for whichever side is to move; scores are turned to white's view when reported
+        aiColor = data.currentTurn;
+        startAnalysis(data.id, data.fen, data.settings, Date.now(), {
+            multiPV: Math.max(1, data.multiPV || 1),
+            maxDepth: Math.min(data.depth || MAX_ANALYSIS_DEPTH, MAX_ANALYSIS_DEPTH)
+        });
+    } else if (type === 'evaluate') {
+        // A search or analysis may still have iterations queued on the current
+        // position, so it is only swapped out while the terms are computed
+        const terms = withPosition({
+            board: data.board,
+            currentTurn: data.currentTurn,
+            castlingRights: data.castlingRights,
+            enPassantTarget: data.enPassantTarget
+        }, () => evaluateTerms(data.settings));
+        self.postMessage({
+            type: 'evaluation',
+            id: data.id,
+            terms,
+            score: sumTerms(terms.white) - sumTerms(terms.black)
         });
+    } else if (type === 'share-tt') {
+        const buffer = new SharedArrayBuffer(TT_BYTES);
+        attachTT(buffer);
+        ttSearchKey = null; // The new table starts empty
+        self.postMessage({ type: 'tt', buffer });
+    } else if (type === 'tt') {
+        attachTT(data.buffer);
+    } else if (type === 'book') {
+        openingBook = data.book;
+    } else if (type === 'bitbase') {
+        kpkBitbase = data.bitbase;
+    } else if (type === 'abort-flag') {
+        abortFlag = new Int32Array(data.buffer);
     } else if (type === 'stop') {
-        forceTimeout = true;
+        // Without an id, whatever is running; a stop for a request that already ended is ignored
+        if (data.id === undefined || data.id === requestId) {
+            forceTimeout = true;
+            stopActiveSearch();
+        }
     }
 };
 
+// Run fn with another position loaded, then put the current one back
+function withPosition(otherPosition, fn) {
+    const savedPosition = position;
+    const savedBoard = board;
+    position = otherPosition;
+    board = otherPosition.board;
+    try {
+        return fn();
+    } finally {
+        position = savedPosition;
+        board = savedBoard;
+    }
+}
+
+// Load the root position and game history for a 'search' or 'analyze' request
+function setupSearch(data) {
+    position = {
+        board: data.board,
+        currentTurn: data.currentTurn,
+        castlingRights: data.castlingRights,
+        enPassantTarget: data.enPassantTarget,
+        fullmoveNumber: data.fullmoveNumber
+    };
+    board = position.board;
+
+    forceTimeout = false;
+    requestId = data.id || 0;
+    nodesSearched = 0;
+    moveStack.length = 0;
+    helperIndex = data.helper || 0;
+
+    // Repetition keys for the game so far, ending with the current position
+    keyHistory.length = 0;
+    for (const fen of data.positionHistory || []) {
+        keyHistory.push(computeHash(ChessRules.parseFEN(fen)));
+    }
+    const rootKey = computeHash(position); // Leaves hashHi/hashLo at the root
+    if (keyHistory[keyHistory.length - 1] !== rootKey) {
+        keyHistory.push(rootKey);
+    }
+
+    // Scores depend on the evaluation weights, so the table is only
+    // reused while those stay the same. With a shared table only the main
+    // worker, which gets every request, clears and ages it.
+    if (helperIndex === 0) {
+        const searchKey = JSON.stringify(data.settings);
+        if (searchKey !== ttSearchKey) {
+            clearTT();
+            ttSearchKey = searchKey;
+        }
+        advanceTTAge();
+    }
+}
+
+// A seeded search depends only on the seed, the settings and the game: it starts
+// from empty tables and is limited by nodes rather than time, so it plays the same
+// move on any machine. The budget is what the level searches in its thinking time
+// at the speed measured for it (settings.seededNodesPerMs).
+function prepareSeededSearch(settings) {
+    clearTT();
+    killerMoves.forEach(killers => { killers.length = 0; });
+    historyTable = {};
+
+    const nodeBudget = Math.round(settings.timePerMove * settings.seededNodesPerMs);
+    return { ...settings, maxNodes: Math.min(settings.maxNodes, nodeBudget) };
+}
+
+// Half-moves played before the root position
+function getPly() {
+    return ((position.fullmoveNumber || 1) - 1) * 2 + (position.currentTurn === 'black' ? 1 : 0);
+}
+
+// Mulberry32, returning numbers in [0, 1) like Math.random. Every ply of a game gets
+// its own sequence, so a move doesn't depend on how many numbers earlier moves used.
+function createRandom(seed, ply) {
+    let state = (seed + Math.imul(ply, 0x9E3779B9)) >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 // SEARCH FUNCTIONS
 
-function getBestMove(settings, deadline, startTime) {
+// Iterative deepening, one depth per task like the analysis below, so a 'stop' or a
+// new request is handled between iterations (and within one through the abort flag).
+// Calls onDone once with { move, score, depth, mistake? }.
+function startSearch(id, settings, deadline, startTime, onDone) {
     const moves = getAllValidMoves(aiColor);
 
     if (moves.length === 0) {
-        return { move: null, score: 0, depth: 0 };
+        onDone({ move: null, score: 0, depth: 0 });
+        return;
     }
 
     // For very low ELO (depth 0), just pick randomly
     if (settings.searchDepth === 0) {
-        return {
-            move: moves[Math.floor(Math.random() * moves.length)],
+        onDone({
+            move: moves[Math.floor(random() * moves.length)],
             score: 0,
             depth: 0
-        };
+        });
+        return;
     }
 
     let bestMove = moves[0];
-    let bestScore = -Infinity;
+    let bestScore = -INFINITY_SCORE;
     let completedDepth = 0;
     let allMoveScores = [];
+    let depth = getStartDepth();
 
-    // Iterative deepening
-    for (let depth = 1; depth <= settings.searchDepth; depth++) {
-        if (forceTimeout || Date.now() >= deadline) break;
-
-        const orderedMoves = orderMoves(moves, bestMove, 0);
-        let depthBestMove = null;
-        let depthBestScore = -Infinity;
-        let depthMoveScores = [];
-
-        for (const move of orderedMoves) {
-            if (forceTimeout || Date.now() >= deadline) break;
-
-            // Check node count limit
-            if (nodesSearched > settings.maxNodes) {
-                forceTimeout = true;
-                break;
-            }
-
-            const piece = board[move.fromRow][move.fromCol];
-            const captured = board[move.toRow][move.toCol];
-
-            // Make move
-            board[move.toRow][move.toCol] = piece;
-            board[move.fromRow][move.fromCol] = null;
-
-            const score = -alphaBetaSearch(
-                depth - 1,
-                -Infinity,
-                Infinity,
-                false,
-                settings,
-                deadline,
-                0
-            );
-
-            // Unmake move
-            board[move.fromRow][move.fromCol] = piece;
-            board[move.toRow][move.toCol] = captured;
-
-            depthMoveScores.push({ move, score });
+    const finish = () => {
+        activeSearch = null;
+        onDone(chooseMove(allMoveScores, bestMove, bestScore, completedDepth, settings));
+    };
 
-            if (score > depthBestScore) {
-                depthBestScore = score;
-                depthBestMove = move;
-            }
-        }
+    const iterate = () => {
+        activeSearch.timer = null;
+        const result = searchIteration(moves, bestMove, bestScore, depth, settings, deadline);
 
         // Update best if we completed this depth
-        if (depthBestMove && !forceTimeout && Date.now() < deadline) {
-            bestMove = depthBestMove;
-            bestScore = depthBestScore;
-            allMoveScores = depthMoveScores;
+        if (result) {
+            bestMove = result.move;
+            bestScore = result.score;
+            allMoveScores = result.moveScores;
             completedDepth = depth;
 
             // Send progress update
             self.postMessage({
                 type: 'progress',
+                id,
                 depth,
                 nodes: nodesSearched,
-                score: bestScore
+                nps: getNodesPerSecond(startTime),
+                time: Date.now() - startTime,
+                score: bestScore,
+                mate: getMateDistance(bestScore),
+                pv: result.pv
             });
         }
-    }
 
-    // If we have move scores, check for intentional mistakes or use softmax
-    if (allMoveScores.length > 0) {
+        depth++;
+        if (depth > settings.searchDepth || isSearchStopped(settings, deadline)) {
+            finish();
+        } else {
+            activeSearch.timer = setTimeout(iterate, 0);
+        }
+    };
+
+    activeSearch = { timer: null, finish };
+    iterate();
+}
+
+// The move to play from the last completed iteration: a deliberate mistake, a softmax
+// pick among the best moves for variety, or simply the best move.
+// Helpers only report their best move; the main search decides about mistakes.
+function chooseMove(allMoveScores, bestMove, bestScore, completedDepth, settings) {
+    if (allMoveScores.length > 0 && helperIndex === 0) {
         // Sort by score descending
         allMoveScores.sort((a, b) => b.score - a.score);
 
         // Check if we should make an intentional mistake
         const blunderMove = maybeBlunder(allMoveScores, settings);
         if (blunderMove) {
-            return { move: blunderMove, score: bestScore, depth: completedDepth };
+            return { move: blunderMove, score: bestScore, depth: completedDepth, mistake: true };
         }
 
         // Use softmax selection for variety
@@ -223,12 +523,166 @@ function getBestMove(settings, deadline, startTime) {
     return { move: bestMove, score: bestScore, depth: completedDepth };
 }
 
-function alphaBetaSearch(depth, alpha, beta, isMaximizing, settings, deadline, searchDepth) {
+// One iterative deepening step, in an aspiration window around the previous
+// score that is widened on a fail high/low. Returns null if the search was stopped.
+// With multiPV > 1 the other lines need exact scores too, so the full window is used.
+function searchIteration(moves, previousBest, previousScore, depth, settings, deadline, multiPV = 1) {
+    const useAspiration = depth >= 3 && multiPV === 1;
+    let delta = ASPIRATION_WINDOW;
+    let alpha = useAspiration ? Math.max(previousScore - delta, -INFINITY_SCORE) : -INFINITY_SCORE;
+    let beta = useAspiration ? Math.min(previousScore + delta, INFINITY_SCORE) : INFINITY_SCORE;
+    let result;
+
+    while (true) {
+        result = searchRoot(moves, previousBest, depth, alpha, beta, settings, deadline, multiPV);
+        if (!result || isSearchStopped(settings, deadline)) return null;
+
+        if (result.score <= alpha && alpha > -INFINITY_SCORE) {
+            alpha = Math.max(alpha - delta, -INFINITY_SCORE);
+        } else if (result.score >= beta && beta < INFINITY_SCORE) {
+            beta = Math.min(beta + delta, INFINITY_SCORE);
+        } else {
+            return result;
+        }
+        delta *= 2;
+    }
+}
+
+// Analysis of the side to move, one iteration per task so a 'stop' or a new
+// request can be handled between iterations. Runs until stopped unless a
+// maxDepth is given.
+function startAnalysis(id, fen, settings, startTime, { multiPV, maxDepth }) {
+    const moves = getAllValidMoves(position.currentTurn);
+    const toWhiteView = score => (position.currentTurn === 'white' ? score : -score);
+    const report = (depth, lines, done) => {
+        const whiteLines = lines.map(line => ({
+            score: toWhiteView(line.score),
+            mate: getMateDistance(toWhiteView(line.score)),
+            pv: line.pv
+        }));
+        self.postMessage({
+            type: 'analysis',
+            id,
+            fen,
+            depth,
+            ...whiteLines[0],
+            nodes: nodesSearched,
+            nps: getNodesPerSecond(startTime),
+            time: Date.now() - startTime,
+            lines: whiteLines,
+            done
+        });
+    };
+
+    if (moves.length === 0) {
+        report(0, [{ score: isInCheck(position.currentTurn) ? -MATE_SCORE : 0, pv: [] }], true);
+        return;
+    }
+
+    let bestMove = moves[0];
+    let bestScore = 0;
+    let depth = getStartDepth();
+
+    const iterate = () => {
+        activeSearch.timer = null;
+        const result = searchIteration(moves, bestMove, bestScore, depth, settings, Infinity, multiPV);
+        if (!result) {
+            activeSearch = null;
+            return;
+        }
+
+        bestMove = result.move;
+        bestScore = result.score;
+
+        // A forced mate won't change with more depth, unless other lines are still wanted
+        const done = depth >= maxDepth ||
+            (multiPV === 1 && Math.abs(bestScore) >= MATE_THRESHOLD);
+        report(depth, result.lines, done);
+
+        if (done) {
+            activeSearch = null;
+            return;
+        }
+        depth++;
+        activeSearch.timer = setTimeout(iterate, 0);
+    };
+
+    activeSearch = { timer: null, finish: null }; // Analysis replies as it goes, nothing to finish
+    iterate();
+}
+
+// Lazy SMP helpers with odd indexes start one iteration deeper, so the pool's
+// workers spread over neighbouring depths and fill the shared table for each other
+function getStartDepth() {
+    return 1 + (helperIndex % 2);
+}
+
+// Ends the running search or analysis: pending iterations are dropped and a search
+// replies with its best move so far
+function stopActiveSearch() {
+    if (!activeSearch) return;
+    const { timer, finish } = activeSearch;
+    clearTimeout(timer);
+    activeSearch = null;
+    if (finish) finish();
+}
+
+// Full moves to mate for a mate score (negative when the score is negative), else null
+function getMateDistance(score) {
+    if (Math.abs(score) < MATE_THRESHOLD) return null;
+    const moves = Math.ceil((MATE_SCORE - Math.abs(score)) / 2);
+    return score > 0 ? moves : -moves;
+}
+
+// Searches every root move. The best multiPV moves, and any within the selection
+// margin of the best, get (near) exact scores for MultiPV, softmax and mistake
+// selection; the rest only need to be shown worse than that. Returns null if
+// the search was stopped.
+function searchRoot(moves, previousBest, depth, alpha, beta, settings, deadline, multiPV = 1) {
+    const margin = Math.max(settings.softmaxWindow || 50, settings.mistakeSizeCp + 50);
+    const moveScores = [];
+    let bestMove = null;
+    let bestScore = -INFINITY_SCORE;
+
+    for (const move of orderMoves(moves, previousBest, 0)) {
+        // Check node count limit
+        if (nodesSearched > settings.maxNodes) {
+            forceTimeout = true;
+        }
+        if (isSearchStopped(settings, deadline)) return null;
+
+        let floor = alpha;
+        if (moveScores.length >= multiPV) {
+            const nthBest = moveScores.map(entry => entry.score).sort((a, b) => b - a)[multiPV - 1];
+            floor = Math.max(alpha, Math.min(bestScore - margin, nthBest));
+        }
+
+        makeMove(move);
+        const score = -negamax(depth - 1, -beta, -floor, 1, settings, deadline, true);
+        unmakeMove();
+
+        moveScores.push({ move, score, pv: [move, ...pvLines[1]] });
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestMove = move;
+        }
+    }
+
+    if (isSearchStopped(settings, deadline)) return null;
+
+    const lines = moveScores.slice().sort((a, b) => b.score - a.score).slice(0, multiPV);
+    return { move: bestMove, score: bestScore, moveScores, pv: lines[0].pv, lines };
+}
+
+// Negamax alpha-beta: scores are from the point of view of the side to move
+function negamax(depth, alpha, beta, ply, settings, deadline, allowNullMove) {
     nodesSearched++;
+    pvLines[ply].length = 0;
 
     // Check timeout
-    if (forceTimeout || Date.now() >= deadline || nodesSearched > settings.maxNodes) {
-        return quickEval(settings);
+    if (isSearchStopped(settings, deadline)) {
+        return quickEvalForSideToMove(settings);
     }
 
     // Check for repetition draw
@@ -237,139 +691,182 @@ function alphaBetaSearch(depth, alpha, beta, isMaximizing, settings, deadline, s
         return 0;
     }
 
+    // King and pawn against king is looked up instead of searched
+    const kpkScore = probeKPKScore();
+    if (kpkScore !== null) {
+        return kpkScore;
+    }
+
+    if (ply >= MAX_PLY) {
+        return evaluateForSideToMove(settings);
+    }
+
+    const color = position.currentTurn;
+    const inCheck = isInCheck(color);
+
+    // Check extension: don't let the horizon hide a forced sequence
+    if (inCheck) {
+        depth++;
+    }
+
     // Check transposition table
-    const boardKey = getFEN();
-    const ttEntry = transpositionTable.get(boardKey);
+    const alphaOrig = alpha;
+    const ttEntry = probeTT(ply);
     if (ttEntry && ttEntry.depth >= depth) {
-        return ttEntry.score;
+        if (ttEntry.flag === TT_EXACT) return ttEntry.score;
+        if (ttEntry.flag === TT_LOWER && ttEntry.score >= beta) return ttEntry.score;
+        if (ttEntry.flag === TT_UPPER && ttEntry.score <= alpha) return ttEntry.score;
     }
 
     // Leaf node - use quiescence search if enabled
-    if (depth === 0) {
+    if (depth <= 0) {
         const score = settings.useQuiescence ?
-            quiescenceSearch(alpha, beta, isMaximizing, settings, deadline, 0) :
-            evaluatePosition(settings);
+            quiescenceSearch(alpha, beta, settings, deadline, 0) :
+            evaluateForSideToMove(settings);
 
-        transpositionTable.set(boardKey, { score, depth });
+        if (!isSearchStopped(settings, deadline)) {
+            storeTT(0, getBoundFlag(score, alphaOrig, beta), score, null, ply);
+        }
         return score;
     }
 
-    const color = isMaximizing ? aiColor : (aiColor === 'white' ? 'black' : 'white');
+    const isPVNode = beta - alpha > 1;
+
+    // Null-move pruning: if passing still fails high, a real move will too.
+    // Skipped with only king and pawns left, where zugzwang makes passing unsound.
+    if (allowNullMove && !isPVNode && !inCheck && depth >= 3 &&
+        hasNonPawnMaterial(color) && evaluateForSideToMove(settings) >= beta) {
+        const reduction = depth >= 6 ? 3 : 2;
+        makeNullMove();
+        const score = -negamax(depth - 1 - reduction, -beta, -beta + 1, ply + 1, settings, deadline, false);
+        unmakeNullMove();
+
+        if (score >= beta && !isSearchStopped(settings, deadline)) {
+            return score >= MATE_THRESHOLD ? beta : score;
+        }
+    }
+
     const moves = getAllValidMoves(color);
 
     if (moves.length === 0) {
-        const score = isInCheck(color) ?
-            (isMaximizing ? -999999 : 999999) : 0;
-        transpositionTable.set(boardKey, { score, depth });
+        // Mate is scored by distance from the root so the AI prefers the quickest mate
+        const score = inCheck ? -(MATE_SCORE - ply) : 0;
+        storeTT(depth, TT_EXACT, score, null, ply);
         return score;
     }
 
-    const orderedMoves = orderMoves(moves, ttEntry?.bestMove, searchDepth);
-
-    if (isMaximizing) {
-        let maxEval = -Infinity;
-        let bestMoveAtDepth = null;
-
-        for (const move of orderedMoves) {
-            if (forceTimeout || Date.now() >= deadline || nodesSearched > settings.maxNodes) break;
+    const orderedMoves = orderMoves(moves, ttEntry?.bestMove, ply);
+    let bestScore = -INFINITY_SCORE;
+    let bestMoveAtDepth = null;
 
-            const piece = board[move.fromRow][move.fromCol];
-            const captured = board[move.toRow][move.toCol];
+    for (let i = 0; i < orderedMoves.length; i++) {
+        if (isSearchStopped(settings, deadline)) break;
 
-            board[move.toRow][move.toCol] = piece;
-            board[move.fromRow][move.fromCol] = null;
+        const move = orderedMoves[i];
+        const quiet = !isCapture(move) && !move.promotion;
+        const killer = isKillerMove(move, ply);
 
-            const evaluation = alphaBetaSearch(depth - 1, alpha, beta, false, settings, deadline, searchDepth + 1);
+        makeMove(move);
+        const givesCheck = isInCheck(position.currentTurn);
+        let score;
 
-            board[move.fromRow][move.fromCol] = piece;
-            board[move.toRow][move.toCol] = captured;
-
-            if (evaluation > maxEval) {
-                maxEval = evaluation;
-                bestMoveAtDepth = move;
+        if (i === 0) {
+            score = -negamax(depth - 1, -beta, -alpha, ply + 1, settings, deadline, true);
+        } else {
+            // Late move reductions for quiet moves that ordering ranks low
+            let reduction = 0;
+            if (depth >= 3 && i >= LMR_MIN_MOVES && quiet && !killer && !inCheck && !givesCheck) {
+                reduction = i >= LMR_MIN_MOVES * 2 && depth >= 5 ? 2 : 1;
             }
 
-            alpha = Math.max(alpha, evaluation);
-
-            if (beta <= alpha) {
-                if (!captured) {
-                    storeKillerMove(move, searchDepth);
-                }
-                updateHistory(move, depth);
-                break;
+            // Principal variation search: prove the move is worse with a null window
+            score = -negamax(depth - 1 - reduction, -alpha - 1, -alpha, ply + 1, settings, deadline, true);
+            if (score > alpha && reduction > 0) {
+                score = -negamax(depth - 1, -alpha - 1, -alpha, ply + 1, settings, deadline, true);
+            }
+            if (score > alpha && score < beta) {
+                score = -negamax(depth - 1, -beta, -alpha, ply + 1, settings, deadline, true);
             }
         }
 
-        transpositionTable.set(boardKey, { score: maxEval, depth, bestMove: bestMoveAtDepth });
-        return maxEval;
-    } else {
-        let minEval = Infinity;
-        let bestMoveAtDepth = null;
+        unmakeMove();
 
-        for (const move of orderedMoves) {
-            if (forceTimeout || Date.now() >= deadline || nodesSearched > settings.maxNodes) break;
-
-            const piece = board[move.fromRow][move.fromCol];
-            const captured = board[move.toRow][move.toCol];
+        if (score > bestScore) {
+            bestScore = score;
+            bestMoveAtDepth = move;
+        }
 
-            board[move.toRow][move.toCol] = piece;
-            board[move.fromRow][move.fromCol] = null;
+        if (score > alpha) {
+            alpha = score;
+            updatePV(ply, move);
+        }
 
-            const evaluation = alphaBetaSearch(depth - 1, alpha, beta, true, settings, deadline, searchDepth + 1);
+        if (alpha >= beta) {
+            if (quiet) {
+                storeKillerMove(move, ply);
+            }
+            updateHistory(move, depth);
+            break;
+        }
+    }
 
-            board[move.fromRow][move.fromCol] = piece;
-            board[move.toRow][move.toCol] = captured;
+    // A search cut short by the clock gives an unreliable score; don't keep it
+    if (bestMoveAtDepth && !isSearchStopped(settings, deadline)) {
+        storeTT(depth, getBoundFlag(bestScore, alphaOrig, beta), bestScore, bestMoveAtDepth, ply);
+    }
+    return bestScore;
+}
 
-            if (evaluation < minEval) {
-                minEval = evaluation;
-                bestMoveAtDepth = move;
-            }
+// The line starting with move at this ply, followed by the best line found below it
+function updatePV(ply, move) {
+    const line = pvLines[ply];
+    const childLine = pvLines[ply + 1];
+    line.length = 0;
+    line.push(move);
+    for (let i = 0; i < childLine.length; i++) {
+        line.push(childLine[i]);
+    }
+}
 
-            beta = Math.min(beta, evaluation);
+function getBoundFlag(score, alphaOrig, beta) {
+    if (score <= alphaOrig) return TT_UPPER;
+    if (score >= beta) return TT_LOWER;
+    return TT_EXACT;
+}
 
-            if (beta <= alpha) {
-                if (!captured) {
-                    storeKillerMove(move, searchDepth);
-                }
-                updateHistory(move, depth);
-                break;
-            }
-        }
+// A 'stop' for the running request, seen mid-iteration: the main thread raises the
+// shared abort flag to the id of the request it stops before posting the message
+function isRequestAborted() {
+    return abortFlag !== null && requestId > 0 && Atomics.load(abortFlag, 0) >= requestId;
+}
 
-        transpositionTable.set(boardKey, { score: minEval, depth, bestMove: bestMoveAtDepth });
-        return minEval;
-    }
+function isSearchStopped(settings, deadline) {
+    return forceTimeout || isRequestAborted() || Date.now() >= deadline || nodesSearched > settings.maxNodes;
 }
 
-function quiescenceSearch(alpha, beta, isMaximizing, settings, deadline, depth) {
-    if (depth > 4 || forceTimeout || Date.now() >= deadline || nodesSearched > settings.maxNodes) {
-        return evaluatePosition(settings);
+function quiescenceSearch(alpha, beta, settings, deadline, depth) {
+    const kpkScore = probeKPKScore();
+    if (kpkScore !== null) {
+        return kpkScore;
     }
 
-    const standPat = evaluatePosition(settings);
+    const standPat = evaluateForSideToMove(settings);
 
-    if (isMaximizing) {
-        if (standPat >= beta) return beta;
-        if (alpha < standPat) alpha = standPat;
-    } else {
-        if (standPat <= alpha) return alpha;
-        if (beta > standPat) beta = standPat;
+    if (depth > 4 || isSearchStopped(settings, deadline)) {
+        return standPat;
     }
 
-    const color = isMaximizing ? aiColor : (aiColor === 'white' ? 'black' : 'white');
+    if (standPat >= beta) return beta;
+    if (alpha < standPat) alpha = standPat;
+
+    const color = position.currentTurn;
     const allMoves = getAllValidMoves(color);
     const tacticalMoves = allMoves.filter(move => {
-        if (board[move.toRow][move.toCol]) return true;
-
-        const piece = board[move.fromRow][move.fromCol];
-        board[move.toRow][move.toCol] = piece;
-        board[move.fromRow][move.fromCol] = null;
-        const opponentColor = color === 'white' ? 'black' : 'white';
-        const givesCheck = isInCheck(opponentColor);
-        board[move.fromRow][move.fromCol] = piece;
-        board[move.toRow][move.toCol] = null;
+        if (move.promotion) return true;
+        // A capture that loses the exchange can't do better than standing pat
+        if (isCapture(move)) return ChessRules.staticExchangeEvaluation(board, move) >= 0;
 
-        return givesCheck;
+        return givesCheck(move);
     });
 
     if (tacticalMoves.length === 0) {
@@ -379,61 +876,164 @@ function quiescenceSearch(alpha, beta, isMaximizing, settings, deadline, depth)
     const orderedMoves = orderMoves(tacticalMoves, null, 0);
 
     for (const move of orderedMoves) {
-        if (forceTimeout || Date.now() >= deadline || nodesSearched > settings.maxNodes) break;
+        if (isSearchStopped(settings, deadline)) break;
 
-        const piece = board[move.fromRow][move.fromCol];
-        const captured = board[move.toRow][move.toCol];
+        makeMove(move);
+        const score = -quiescenceSearch(-beta, -alpha, settings, deadline, depth + 1);
+        unmakeMove();
 
-        board[move.toRow][move.toCol] = piece;
-        board[move.fromRow][move.fromCol] = null;
-
-        const score = quiescenceSearch(alpha, beta, !isMaximizing, settings, deadline, depth + 1);
+        if (score >= beta) return beta;
+        if (score > alpha) alpha = score;
+    }
 
-        board[move.fromRow][move.fromCol] = piece;
-        board[move.toRow][move.toCol] = captured;
+    return alpha;
+}
 
-        if (isMaximizing) {
-            if (score >= beta) return beta;
-            if (score > alpha) alpha = score;
-        } else {
-            if (score <= alpha) return alpha;
-            if (score < beta) beta = score;
+// Side with king and pawns only is where zugzwang makes null moves unsound
+function hasNonPawnMaterial(color) {
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = board[row][col];
+            if (piece && getPieceColor(piece) === color && 'nbrq'.includes(piece.toLowerCase())) {
+                return true;
+            }
         }
     }
+    return false;
+}
 
-    return isMaximizing ? alpha : beta;
+function getNodesPerSecond(startTime) {
+    return Math.round(nodesSearched * 1000 / Math.max(1, Date.now() - startTime));
 }
 
 // MOVE SELECTION FUNCTIONS
 
+// Deliberate mistakes imitate the ones people make. A candidate is a move the search
+// found to lose at least MIN_MISTAKE_LOSS, and how likely the AI is to play it depends
+// on the line that punishes it: knight jumps, long diagonals and back-rank threats are
+// overlooked far more often than a short capture of the piece that just moved.
+// Missing a shot of its own (playing the best ordinary move instead of a hard-to-see
+// best move) happens less often than missing the opponent's reply. Mistakes also get
+// rarer as the position gets simpler, and far worse than mistakeSizeCp get rarer too.
 function maybeBlunder(moveScores, settings) {
-    if (Math.random() >= settings.mistakeRate) {
+    if (moveScores.length < 2) return null;
+
+    const mistakeChance = settings.mistakeRate *
+        (SIMPLE_POSITION_MISTAKE_FACTOR + COMPLEX_POSITION_MISTAKE_FACTOR * getPositionComplexity(moveScores.length));
+    if (random() >= mistakeChance) {
         return null; // No blunder
     }
 
-    const bestScore = moveScores[0].score;
-    const targetScore = bestScore - settings.mistakeSizeCp;
+    const [best, ...others] = moveScores;
+    const bestMissChance = getMissChance(best.move, null) * OWN_SHOT_MISS_FACTOR;
+    const ordinaryScore = others[0].score; // The best move other than the best one
+
+    const candidates = [];
+    for (const entry of others) {
+        const loss = best.score - entry.score;
+        if (loss < MIN_MISTAKE_LOSS) continue;
+
+        makeMove(entry.move);
+        const refutation = findRefutation(entry);
+        const threatMissChance = refutation ? getMissChance(refutation, entry.move) : UNKNOWN_REFUTATION_MISS_CHANCE;
+        unmakeMove();
+
+        const shotMissChance = entry.score >= ordinaryScore - MIN_MISTAKE_LOSS ? bestMissChance : 0;
+        const size = settings.mistakeSizeCp;
+        const sizeFactor = Math.exp(-Math.max(0, Math.min(loss, 2 * size) - size) / size);
+        const weight = Math.max(threatMissChance, shotMissChance) * sizeFactor;
+        if (weight > 0) candidates.push({ move: entry.move, weight });
+    }
 
-    // Find moves near target score (within ±50cp)
-    const blunderCandidates = moveScores.filter(m =>
-        Math.abs(m.score - targetScore) < 50 && m.score < bestScore - 50
-    );
+    // Noticing the problem is always possible, so a lone obvious trap is mostly avoided
+    let pick = random() * (candidates.reduce((sum, c) => sum + c.weight, 0) + NO_MISTAKE_WEIGHT);
+    for (const candidate of candidates) {
+        pick -= candidate.weight;
+        if (pick < 0) return candidate.move;
+    }
+    return null;
+}
 
-    if (blunderCandidates.length > 0) {
-        const selected = blunderCandidates[Math.floor(Math.random() * blunderCandidates.length)];
-        return selected.move;
+// The opponent's best reply to a root move, called with the move made: the second move
+// of its line from the search, else the table's best move, else the capture that wins
+// the most material. null when nothing refutes the move outright.
+function findRefutation(entry) {
+    if (entry.pv.length > 1) return entry.pv[1];
+
+    const ttEntry = probeTT(1);
+    if (ttEntry?.bestMove) return ttEntry.bestMove;
+
+    let refutation = null;
+    let bestGain = 0;
+    for (const move of getAllValidMoves(position.currentTurn)) {
+        if (!isCapture(move)) continue;
+        const gain = ChessRules.staticExchangeEvaluation(board, move);
+        if (gain > bestGain) {
+            bestGain = gain;
+            refutation = move;
+        }
     }
+    return refutation;
+}
 
-    // Fallback: pick a worse move if available
-    if (moveScores.length > 1) {
-        const worseIndex = Math.min(
-            Math.floor(moveScores.length / 2),
-            moveScores.length - 1
-        );
-        return moveScores[worseIndex].move;
+// How easily a player overlooks a move by the side to move (relative weight, 1 for the
+// hardest). lastMove is the move just played, whose piece is the obvious one to take.
+function getMissChance(move, lastMove) {
+    const piece = board[move.fromRow][move.fromCol];
+    const pieceType = piece.toLowerCase();
+    const rowDistance = Math.abs(move.toRow - move.fromRow);
+    const colDistance = Math.abs(move.toCol - move.fromCol);
+    const capture = isCapture(move);
+    const check = givesCheck(move);
+
+    let chance;
+    if (pieceType === 'n') {
+        chance = MISS_CHANCE_KNIGHT;
+    } else if (isBackRankMove(move)) {
+        chance = MISS_CHANCE_BACK_RANK;
+    } else if ((pieceType === 'b' || pieceType === 'q') && rowDistance === colDistance && rowDistance >= 3) {
+        chance = MISS_CHANCE_LONG_DIAGONAL;
+    } else if ((pieceType === 'r' || pieceType === 'q') && Math.max(rowDistance, colDistance) >= 4) {
+        chance = MISS_CHANCE_LONG_LINE;
+    } else {
+        chance = MISS_CHANCE_SHORT;
     }
 
-    return null;
+    if (!capture && !check) chance *= QUIET_MOVE_MISS_FACTOR;
+    if (lastMove && capture && move.toRow === lastMove.toRow && move.toCol === lastMove.toCol) {
+        chance *= RECAPTURE_MISS_FACTOR;
+    }
+    return chance;
+}
+
+// A rook or queen landing on the back rank of a king still standing on it
+function isBackRankMove(move) {
+    const piece = board[move.fromRow][move.fromCol];
+    if (piece.toLowerCase() !== 'r' && piece.toLowerCase() !== 'q') return false;
+
+    const defenderKing = getPieceColor(piece) === 'white' ? 'k' : 'K';
+    const backRow = defenderKing === 'k' ? 0 : 7;
+    return move.toRow === backRow && board[backRow].includes(defenderKing);
+}
+
+// 0 for a quiet position with little material left, 1 for a full board where both
+// sides have plenty of captures and moves to choose from
+function getPositionComplexity(moveCount) {
+    let phase = 0;
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = board[row][col];
+            if (piece) phase += PHASE_WEIGHTS[piece.toLowerCase()];
+        }
+    }
+
+    const opponentColor = position.currentTurn === 'white' ? 'black' : 'white';
+    const captures = getAllValidMoves(position.currentTurn).filter(isCapture).length +
+        getAllValidMoves(opponentColor).filter(isCapture).length;
+
+    return 0.4 * Math.min(phase / MAX_PHASE, 1) +
+        0.4 * Math.min(captures / COMPLEX_POSITION_CAPTURES, 1) +
+        0.2 * Math.min(moveCount / COMPLEX_POSITION_MOVES, 1);
 }
 
 function selectMoveWithSoftmax(moveScores, settings) {
@@ -454,7 +1054,7 @@ function selectMoveWithSoftmax(moveScores, settings) {
     const probabilities = expScores.map(e => e / sumExp);
 
     // Weighted random selection
-    const rand = Math.random();
+    const rand = random();
     let cumulative = 0;
 
     for (let i = 0; i < topMoves.length; i++) {
@@ -469,15 +1069,24 @@ function selectMoveWithSoftmax(moveScores, settings) {
 
 // EVALUATION FUNCTIONS
 
-function evaluatePosition(settings) {
-    let materialScore = 0;
-    let positionScore = 0;
-    let mobilityScore = 0;
-    let pawnStructureScore = 0;
-    let kingSafetyScore = 0;
+// Evaluation terms for each side in centipawns, already scaled by the settings weights.
+// Kings are left out of material since both sides always have one.
+function evaluateTerms(settings) {
+    const terms = {
+        white: { material: 0, pieceSquare: 0, mobility: 0, pawnStructure: 0, kingSafety: 0 },
+        black: { material: 0, pieceSquare: 0, mobility: 0, pawnStructure: 0, kingSafety: 0 }
+    };
+
+    // Positional terms are summed separately for the middlegame and the endgame,
+    // then blended by how much non-pawn material is left
+    const positionMg = { white: 0, black: 0 };
+    const positionEg = { white: 0, black: 0 };
+    let phase = 0;
 
     const whitePawns = [];
     const blackPawns = [];
+    const rooks = [];
+    const minorPieces = [];
 
     for (let row = 0; row < 8; row++) {
         for (let col = 0; col < 8; col++) {
@@ -485,39 +1094,105 @@ function evaluatePosition(settings) {
             if (!piece) continue;
 
             const pieceColor = getPieceColor(piece);
-            const isAI = pieceColor === aiColor;
-            const multiplier = isAI ? 1 : -1;
-
-            materialScore += PIECE_VALUES[piece] * multiplier;
+            const pieceType = piece.toLowerCase();
 
-            if (settings.positionWeight > 0) {
-                const posValue = getPositionValue(piece, row, col);
-                positionScore += posValue * settings.positionWeight * multiplier;
+            if (pieceType !== 'k') {
+                terms[pieceColor].material += PIECE_VALUES[piece] * settings.materialWeight;
             }
+            phase += PHASE_WEIGHTS[pieceType];
+
+            const index = getSquareIndex(piece, row, col);
+            positionMg[pieceColor] += MG_TABLES[pieceType][index];
+            positionEg[pieceColor] += EG_TABLES[pieceType][index];
 
-            if (piece.toLowerCase() === 'p') {
+            if (pieceType === 'p') {
                 if (pieceColor === 'white') {
                     whitePawns.push({ row, col });
                 } else {
                     blackPawns.push({ row, col });
                 }
+            } else if (pieceType === 'r') {
+                rooks.push({ row, col, color: pieceColor });
+            } else if (pieceType === 'n' || pieceType === 'b') {
+                minorPieces.push({ row, col, color: pieceColor, type: pieceType });
             }
         }
     }
 
+    // Promotions can push the material count past a full set of pieces
+    phase = Math.min(phase, MAX_PHASE);
+
+    if (settings.positionWeight > 0) {
+        const placement = evaluatePiecePlacement(rooks, minorPieces, whitePawns, blackPawns);
+        for (const color of ['white', 'black']) {
+            terms[color].pieceSquare = taper(
+                positionMg[color] + placement[color].mg,
+                positionEg[color] + placement[color].eg,
+                phase
+            ) * settings.positionWeight;
+        }
+    }
+
     if (settings.mobilityWeight > 0) {
-        mobilityScore = evaluateMobility(settings);
+        const mobility = evaluateMobility(settings);
+        terms.white.mobility = mobility.white;
+        terms.black.mobility = mobility.black;
     }
 
     if (settings.pawnStructureWeight > 0) {
-        pawnStructureScore = evaluatePawnStructure(whitePawns, blackPawns, settings);
+        const pawnStructure = evaluatePawnStructure(whitePawns, blackPawns, settings);
+        terms.white.pawnStructure = pawnStructure.white;
+        terms.black.pawnStructure = pawnStructure.black;
     }
 
     if (settings.kingSafetyWeight > 0) {
-        kingSafetyScore = evaluateKingSafety(settings);
+        const kingSafety = evaluateKingSafety(settings, phase);
+        terms.white.kingSafety = kingSafety.white;
+        terms.black.kingSafety = kingSafety.black;
     }
 
-    return materialScore + positionScore + mobilityScore + pawnStructureScore + kingSafetyScore;
+    return terms;
+}
+
+function sumTerms(sideTerms) {
+    return sideTerms.material + sideTerms.pieceSquare + sideTerms.mobility +
+        sideTerms.pawnStructure + sideTerms.kingSafety;
+}
+
+// Score from the AI's point of view, in whole centipawns: the weights make the terms
+// fractional, and the transposition table only holds integers
+function evaluatePosition(settings) {
+    const terms = evaluateTerms(settings);
+    const opponentColor = aiColor === 'white' ? 'black' : 'white';
+    return Math.round(sumTerms(terms[aiColor]) - sumTerms(terms[opponentColor]));
+}
+
+// Blend middlegame and endgame scores by game phase (MAX_PHASE = pure middlegame)
+function taper(mg, eg, phase) {
+    return (mg * phase + eg * (MAX_PHASE - phase)) / MAX_PHASE;
+}
+
+// Negamax works with scores from the side to move's point of view
+function evaluateForSideToMove(settings) {
+    const score = evaluatePosition(settings);
+    return position.currentTurn === aiColor ? score : -score;
+}
+
+function quickEvalForSideToMove(settings) {
+    const score = quickEval(settings);
+    return position.currentTurn === aiColor ? score : -score;
+}
+
+// Exact score for king and pawn against king from the side to move's point of view,
+// or null for other material or before the bitbase has arrived
+function probeKPKScore() {
+    const result = KPK.probeKPK(kpkBitbase, board, position.currentTurn);
+    if (!result) return null;
+    if (!result.win) return 0;
+
+    const ranksAdvanced = result.strongColor === 'white' ? 6 - result.pawn.row : result.pawn.row - 1;
+    const score = KPK_WIN_SCORE + ranksAdvanced * KPK_PAWN_STEP_BONUS;
+    return result.strongColor === position.currentTurn ? score : -score;
 }
 
 function quickEval(settings) {
@@ -539,55 +1214,113 @@ function quickEval(settings) {
 }
 
 function evaluateMobility(settings) {
-    const aiMoves = getAllValidMoves(aiColor).length;
-    const opponentColor = aiColor === 'white' ? 'black' : 'white';
-
-    const originalTurn = currentTurn;
-    currentTurn = opponentColor;
-    const opponentMoves = getAllValidMoves(opponentColor).length;
-    currentTurn = originalTurn;
-
-    return (aiMoves - opponentMoves) * 10 * settings.mobilityWeight;
+    return {
+        white: getAllValidMoves('white').length * 10 * settings.mobilityWeight,
+        black: getAllValidMoves('black').length * 10 * settings.mobilityWeight
+    };
 }
 
 function evaluatePawnStructure(whitePawns, blackPawns, settings) {
-    let score = 0;
+    let white = 0;
+    let black = 0;
 
     for (const pawn of whitePawns) {
         const doubled = whitePawns.some(p => p.col === pawn.col && p.row < pawn.row);
-        if (doubled) score -= 20;
+        if (doubled) white -= 20;
 
         const isolated = !whitePawns.some(p => Math.abs(p.col - pawn.col) === 1);
-        if (isolated) score -= 15;
+        if (isolated) white -= 15;
 
         const passed = !blackPawns.some(p =>
-            Math.abs(p.col - pawn.col) <= 1 && p.row > pawn.row
+            Math.abs(p.col - pawn.col) <= 1 && p.row < pawn.row
         );
         if (passed) {
-            score += (6 - pawn.row) * 10;
+            white += (6 - pawn.row) * 10;
         }
     }
 
     for (const pawn of blackPawns) {
         const doubled = blackPawns.some(p => p.col === pawn.col && p.row > pawn.row);
-        if (doubled) score += 20;
+        if (doubled) black -= 20;
 
         const isolated = !blackPawns.some(p => Math.abs(p.col - pawn.col) === 1);
-        if (isolated) score += 15;
+        if (isolated) black -= 15;
 
         const passed = !whitePawns.some(p =>
-            Math.abs(p.col - pawn.col) <= 1 && p.row < pawn.row
+            Math.abs(p.col - pawn.col) <= 1 && p.row > pawn.row
         );
         if (passed) {
-            score -= (pawn.row - 1) * 10;
+            black += (pawn.row - 1) * 10;
         }
     }
 
-    return (aiColor === 'white' ? score : -score) * settings.pawnStructureWeight;
+    return {
+        white: white * settings.pawnStructureWeight,
+        black: black * settings.pawnStructureWeight
+    };
+}
+
+// Rooks on open and half-open files, the bishop pair, and knights and bishops
+// on outposts. Returns { white: { mg, eg }, black: { mg, eg } }.
+function evaluatePiecePlacement(rooks, minorPieces, whitePawns, blackPawns) {
+    const placement = { white: { mg: 0, eg: 0 }, black: { mg: 0, eg: 0 } };
+    const add = (bonus, color) => {
+        placement[color].mg += bonus[0];
+        placement[color].eg += bonus[1];
+    };
+
+    const whitePawnFiles = [0, 0, 0, 0, 0, 0, 0, 0];
+    const blackPawnFiles = [0, 0, 0, 0, 0, 0, 0, 0];
+    whitePawns.forEach(pawn => whitePawnFiles[pawn.col]++);
+    blackPawns.forEach(pawn => blackPawnFiles[pawn.col]++);
+
+    for (const rook of rooks) {
+        const ownPawns = rook.color === 'white' ? whitePawnFiles : blackPawnFiles;
+        const enemyPawns = rook.color === 'white' ? blackPawnFiles : whitePawnFiles;
+        if (ownPawns[rook.col] === 0) {
+            add(enemyPawns[rook.col] === 0 ? ROOK_OPEN_FILE_BONUS : ROOK_SEMI_OPEN_FILE_BONUS, rook.color);
+        }
+    }
+
+    let whiteBishops = 0;
+    let blackBishops = 0;
+    for (const piece of minorPieces) {
+        if (piece.type === 'b') {
+            if (piece.color === 'white') whiteBishops++;
+            else blackBishops++;
+        }
+        if (isOutpost(piece, whitePawns, blackPawns)) {
+            add(piece.type === 'n' ? KNIGHT_OUTPOST_BONUS : BISHOP_OUTPOST_BONUS, piece.color);
+        }
+    }
+    if (whiteBishops >= 2) add(BISHOP_PAIR_BONUS, 'white');
+    if (blackBishops >= 2) add(BISHOP_PAIR_BONUS, 'black');
+
+    return placement;
+}
+
+// A square on the 4th to 6th rank (from the piece's side) that is defended by
+// one of its own pawns and can never be attacked by an enemy pawn
+function isOutpost(piece, whitePawns, blackPawns) {
+    const { row, col } = piece;
+    const isWhite = piece.color === 'white';
+    if (isWhite ? (row < 2 || row > 4) : (row < 3 || row > 5)) return false;
+
+    const ownPawns = isWhite ? whitePawns : blackPawns;
+    const enemyPawns = isWhite ? blackPawns : whitePawns;
+    const supportRow = isWhite ? row + 1 : row - 1;
+
+    const supported = ownPawns.some(p => p.row === supportRow && Math.abs(p.col - col) === 1);
+    if (!supported) return false;
+
+    // Enemy pawns still behind the piece on a neighbouring file could advance to attack it
+    return !enemyPawns.some(p => Math.abs(p.col - col) === 1 && (isWhite ? p.row < row : p.row > row));
 }
 
-function evaluateKingSafety(settings) {
-    let safety = 0;
+// Pawn shield, nearby defenders and open files next to the king. These matter
+// while there are pieces left to attack with, so the term fades out with the phase.
+function evaluateKingSafety(settings, phase) {
+    const safety = { white: 0, black: 0 };
 
     for (let row = 0; row < 8; row++) {
         for (let col = 0; col < 8; col++) {
@@ -595,7 +1328,6 @@ function evaluateKingSafety(settings) {
             if (!piece || piece.toLowerCase() !== 'k') continue;
 
             const pieceColor = getPieceColor(piece);
-            const multiplier = (pieceColor === aiColor) ? 1 : -1;
 
             let pawnShield = 0;
             const direction = pieceColor === 'white' ? -1 : 1;
@@ -626,16 +1358,6 @@ function evaluateKingSafety(settings) {
                 }
             }
 
-            const pieceCount = countPieces();
-            let centralization = 0;
-            if (pieceCount <= 12) {
-                const centerDist = Math.abs(3.5 - row) + Math.abs(3.5 - col);
-                centralization = (7 - centerDist) * 15;
-            } else {
-                const centerDist = Math.abs(3.5 - row) + Math.abs(3.5 - col);
-                centralization = centerDist * 5;
-            }
-
             let openFilePenalty = 0;
             for (let dc = -1; dc <= 1; dc++) {
                 const fileCol = col + dc;
@@ -652,35 +1374,18 @@ function evaluateKingSafety(settings) {
                 }
             }
 
-            safety += (pawnShield + defenders + centralization + openFilePenalty) * multiplier * settings.kingSafetyWeight;
+            safety[pieceColor] += pawnShield + defenders + openFilePenalty;
         }
     }
 
-    return safety;
+    const scale = (phase / MAX_PHASE) * settings.kingSafetyWeight;
+    return { white: safety.white * scale, black: safety.black * scale };
 }
 
-function getPositionValue(piece, row, col) {
-    const pieceType = piece.toLowerCase();
+// Index into the piece-square tables, mirrored vertically for black
+function getSquareIndex(piece, row, col) {
     const isWhite = piece === piece.toUpperCase();
-    const index = isWhite ? (7 - row) * 8 + col : row * 8 + col;
-
-    switch (pieceType) {
-        case 'p': return PAWN_TABLE[index];
-        case 'n': return KNIGHT_TABLE[index];
-        case 'b': return BISHOP_TABLE[index];
-        case 'k': return KING_TABLE[index];
-        default: return 0;
-    }
-}
-
-function countPieces() {
-    let count = 0;
-    for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-            if (board[row][col]) count++;
-        }
-    }
-    return count;
+    return isWhite ? row * 8 + col : (7 - row) * 8 + col;
 }
 
 // MOVE ORDERING
@@ -699,16 +1404,25 @@ function orderMoves(moves, bestMove = null, depth = 0) {
 
         const targetPiece = board[move.toRow][move.toCol];
         const movingPiece = board[move.fromRow][move.fromCol];
-
-        if (targetPiece) {
-            score += 10000 + (PIECE_VALUES[targetPiece] * 10 - PIECE_VALUES[movingPiece]);
+        const capture = isCapture(move);
+
+        // Winning and even captures by MVV-LVA ahead of quiet moves; captures that
+        // lose the exchange go after them, worst last
+        if (capture) {
+            const exchange = ChessRules.staticExchangeEvaluation(board, move);
+            if (exchange >= 0) {
+                score += 10000 + (PIECE_VALUES[targetPiece || 'p'] * 10 - PIECE_VALUES[movingPiece]);
+            } else {
+                score += -10000 + exchange;
+            }
         }
 
-        if (movingPiece.toLowerCase() === 'p' && (move.toRow === 0 || move.toRow === 7)) {
-            score += 9000;
+        // Queen promotions first; underpromotions are rarely best
+        if (move.promotion) {
+            score += PIECE_VALUES[move.promotion] * 10;
         }
 
-        if (!targetPiece && depth < killerMoves.length) {
+        if (!capture && depth < killerMoves.length) {
             const killers = killerMoves[depth];
             for (let i = 0; i < killers.length; i++) {
                 const killer = killers[i];
@@ -744,6 +1458,14 @@ function orderMoves(moves, bestMove = null, depth = 0) {
     return scoredMoves.map(sm => sm.move);
 }
 
+function isKillerMove(move, ply) {
+    if (ply >= killerMoves.length) return false;
+    return killerMoves[ply].some(k =>
+        k && k.fromRow === move.fromRow && k.fromCol === move.fromCol &&
+        k.toRow === move.toRow && k.toCol === move.toCol
+    );
+}
+
 function storeKillerMove(move, depth) {
     if (depth >= killerMoves.length) return;
 
@@ -767,307 +1489,324 @@ function updateHistory(move, depth) {
     historyTable[historyKey] += depth * depth;
 }
 
-// MOVE GENERATION
+// MOVE GENERATION (rules shared with the UI via chess-rules.js)
 
 function getAllValidMoves(color) {
-    const moves = [];
-    for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-            const piece = board[row][col];
-            if (piece && getPieceColor(piece) === color) {
-                const pieceMoves = getValidMovesForPiece(row, col);
-                for (const move of pieceMoves) {
-                    moves.push({ fromRow: row, fromCol: col, toRow: move.row, toCol: move.col });
-                }
-            }
-        }
-    }
-    return moves;
+    return ChessRules.getLegalMoves(position, color);
 }
 
-function getValidMovesForPiece(row, col) {
-    const piece = board[row][col];
-    if (!piece) return [];
-
-    const moves = [];
-    const pieceType = piece.toLowerCase();
-
-    switch (pieceType) {
-        case 'p':
-            moves.push(...getPawnMoves(row, col));
-            break;
-        case 'n':
-            moves.push(...getKnightMoves(row, col));
-            break;
-        case 'b':
-            moves.push(...getBishopMoves(row, col));
-            break;
-        case 'r':
-            moves.push(...getRookMoves(row, col));
-            break;
-        case 'q':
-            moves.push(...getQueenMoves(row, col));
-            break;
-        case 'k':
-            moves.push(...getKingMoves(row, col));
-            break;
-    }
+// UTILITY FUNCTIONS
 
-    return moves.filter(move => !wouldBeInCheck(row, col, move.row, move.col));
+function isValidSquare(row, col) {
+    return ChessRules.isValidSquare(row, col);
 }
 
-function getPawnMoves(row, col) {
-    const moves = [];
-    const piece = board[row][col];
-    const direction = piece === 'P' ? -1 : 1;
-    const startRow = piece === 'P' ? 6 : 1;
+function getPieceColor(piece) {
+    return ChessRules.getPieceColor(piece);
+}
 
-    if (isValidSquare(row + direction, col) && !board[row + direction][col]) {
-        moves.push({ row: row + direction, col });
+// Captures include en passant, where the target square is empty
+function isCapture(move) {
+    const piece = board[move.fromRow][move.fromCol];
+    return !!board[move.toRow][move.toCol] || (piece.toLowerCase() === 'p' && move.fromCol !== move.toCol);
+}
 
-        if (row === startRow && !board[row + 2 * direction][col]) {
-            moves.push({ row: row + 2 * direction, col });
-        }
-    }
+function isInCheck(color) {
+    return ChessRules.isInCheck(board, color);
+}
 
-    for (const colOffset of [-1, 1]) {
-        const newRow = row + direction;
-        const newCol = col + colOffset;
-        if (isValidSquare(newRow, newCol)) {
-            const targetPiece = board[newRow][newCol];
-            if (targetPiece && getPieceColor(targetPiece) !== getPieceColor(piece)) {
-                moves.push({ row: newRow, col: newCol });
-            }
-            if (enPassantTarget &&
-                newRow === enPassantTarget.row &&
-                newCol === enPassantTarget.col) {
-                moves.push({ row: newRow, col: newCol });
-            }
-        }
-    }
+// Plain make/unmake (no hashing) for a quick look at the resulting position
+function givesCheck(move) {
+    const opponentColor = getPieceColor(board[move.fromRow][move.fromCol]) === 'white' ? 'black' : 'white';
+    const undo = ChessRules.makeMove(position, move);
+    const check = isInCheck(opponentColor);
+    ChessRules.unmakeMove(position, move, undo);
+    return check;
+}
 
-    return moves;
+// ZOBRIST HASHING
+// Position keys are two 32-bit halves updated incrementally by makeMove, so
+// the search never builds FEN strings. hashKey() folds them into one exact
+// integer (53 bits) for Map lookups.
+
+const PIECE_INDEX = { P: 0, N: 1, B: 2, R: 3, Q: 4, K: 5, p: 6, n: 7, b: 8, r: 9, q: 10, k: 11 };
+
+// mulberry32 with a fixed seed, so every worker builds the same keys
+function createKeyGenerator(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    };
 }
 
-function getKnightMoves(row, col) {
-    const moves = [];
-    const offsets = [
-        [-2, -1], [-2, 1], [-1, -2], [-1, 2],
-        [1, -2], [1, 2], [2, -1], [2, 1]
-    ];
+// Each key is stored as [hi, lo] at index * 2; signed halves stay small integers in V8
+function createKeys(count, nextKey) {
+    const keys = new Int32Array(count * 2);
+    for (let i = 0; i < keys.length; i++) keys[i] = nextKey();
+    return keys;
+}
 
-    for (const [rowOffset, colOffset] of offsets) {
-        const newRow = row + rowOffset;
-        const newCol = col + colOffset;
-        if (isValidSquare(newRow, newCol)) {
-            const targetPiece = board[newRow][newCol];
-            if (!targetPiece || getPieceColor(targetPiece) !== getPieceColor(board[row][col])) {
-                moves.push({ row: newRow, col: newCol });
-            }
-        }
-    }
+const nextZobristKey = createKeyGenerator(0x9E3779B9);
+const ZOBRIST_PIECES = createKeys(12 * 64, nextZobristKey);
+const ZOBRIST_CASTLING = createKeys(16, nextZobristKey);
+const ZOBRIST_EN_PASSANT = createKeys(8, nextZobristKey);
+const ZOBRIST_BLACK_TO_MOVE = createKeys(1, nextZobristKey);
 
-    return moves;
-}
+// Current position key
+let hashHi = 0;
+let hashLo = 0;
+let enPassantHashed = false; // The key includes the en passant file only when the capture is legal
 
-function getBishopMoves(row, col) {
-    return getSlidingMoves(row, col, [[-1, -1], [-1, 1], [1, -1], [1, 1]]);
+function xorKey(keys, index) {
+    hashHi ^= keys[index * 2];
+    hashLo ^= keys[index * 2 + 1];
 }
 
-function getRookMoves(row, col) {
-    return getSlidingMoves(row, col, [[-1, 0], [1, 0], [0, -1], [0, 1]]);
+function togglePiece(piece, row, col) {
+    xorKey(ZOBRIST_PIECES, PIECE_INDEX[piece] * 64 + row * 8 + col);
 }
 
-function getQueenMoves(row, col) {
-    return getSlidingMoves(row, col, [
-        [-1, -1], [-1, 0], [-1, 1],
-        [0, -1], [0, 1],
-        [1, -1], [1, 0], [1, 1]
-    ]);
+function castlingIndex(rights) {
+    if (!rights) return 0;
+    return (rights.white.kingside ? 1 : 0) | (rights.white.queenside ? 2 : 0) |
+        (rights.black.kingside ? 4 : 0) | (rights.black.queenside ? 8 : 0);
 }
 
-function getKingMoves(row, col) {
-    const moves = [];
-    const offsets = [
-        [-1, -1], [-1, 0], [-1, 1],
-        [0, -1], [0, 1],
-        [1, -1], [1, 0], [1, 1]
-    ];
-
-    for (const [rowOffset, colOffset] of offsets) {
-        const newRow = row + rowOffset;
-        const newCol = col + colOffset;
-        if (isValidSquare(newRow, newCol)) {
-            const targetPiece = board[newRow][newCol];
-            if (!targetPiece || getPieceColor(targetPiece) !== getPieceColor(board[row][col])) {
-                moves.push({ row: newRow, col: newCol });
-            }
+// Full key from scratch; makeMove keeps it up to date afterwards
+function computeHash(pos) {
+    hashHi = 0;
+    hashLo = 0;
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            if (pos.board[row][col]) togglePiece(pos.board[row][col], row, col);
         }
     }
+    xorKey(ZOBRIST_CASTLING, castlingIndex(pos.castlingRights));
+    enPassantHashed = ChessRules.hasLegalEnPassantCapture(pos);
+    if (enPassantHashed) xorKey(ZOBRIST_EN_PASSANT, pos.enPassantTarget.col);
+    if (pos.currentTurn === 'black') xorKey(ZOBRIST_BLACK_TO_MOVE, 0);
+    return hashKey();
+}
 
-    // Castling
-    const color = getPieceColor(board[row][col]);
-    if (castlingRights[color].kingside &&
-        !board[row][5] && !board[row][6] &&
-        !isSquareUnderAttack(row, 4, color) &&
-        !isSquareUnderAttack(row, 5, color) &&
-        !isSquareUnderAttack(row, 6, color)) {
-        moves.push({ row, col: 6 });
-    }
-    if (castlingRights[color].queenside &&
-        !board[row][1] && !board[row][2] && !board[row][3] &&
-        !isSquareUnderAttack(row, 4, color) &&
-        !isSquareUnderAttack(row, 3, color) &&
-        !isSquareUnderAttack(row, 2, color)) {
-        moves.push({ row, col: 2 });
-    }
-
-    return moves;
+function hashKey() {
+    return (hashHi & 0x1FFFFF) * 4294967296 + (hashLo >>> 0);
 }
 
-function getSlidingMoves(row, col, directions) {
-    const moves = [];
-    const piece = board[row][col];
+// TRANSPOSITION TABLE
+// Fixed-size table indexed by the low bits of the Zobrist key. Entries keep
+// the full key for verification, the search depth, a bound flag and the age
+// (search number) they were written in, so they survive between moves of a game.
+// A search pool's workers can share one table; the low key word is stored XOR-ed
+// with the entry's data, so an entry torn by two workers writing at once just
+// fails verification instead of returning another position's score.
+
+const TT_SIZE = 1 << 18; // Entries (about 5 MB)
+const TT_MASK = TT_SIZE - 1;
+
+// Bound flags: the stored score is exact, a lower bound (fail high) or an upper bound (fail low)
+const TT_EMPTY = 0;
+const TT_EXACT = 1;
+const TT_LOWER = 2;
+const TT_UPPER = 3;
+
+// Bytes per entry: key (two words), score and move as Int32, then depth, flag and age bytes
+const TT_ENTRY_BYTES = 4 * 4 + 3;
+
+// The entries, followed by one Int32 holding the current age so that workers sharing
+// the table also share its age
+const TT_BYTES = TT_SIZE * TT_ENTRY_BYTES + 4;
+
+let ttKeyHi, ttKeyLo, ttScore, ttMove, ttDepth, ttFlag, ttAge; // ttMove holds encodeMove(), 0 for none
+let ttCurrentAge; // Int32Array of length 1
+
+// Lay the table out over an ArrayBuffer, or a SharedArrayBuffer from a search pool
+function attachTT(buffer) {
+    ttKeyHi = new Int32Array(buffer, 0, TT_SIZE);
+    ttKeyLo = new Int32Array(buffer, TT_SIZE * 4, TT_SIZE);
+    ttScore = new Int32Array(buffer, TT_SIZE * 8, TT_SIZE);
+    ttMove = new Int32Array(buffer, TT_SIZE * 12, TT_SIZE);
+    ttDepth = new Int8Array(buffer, TT_SIZE * 16, TT_SIZE);
+    ttFlag = new Uint8Array(buffer, TT_SIZE * 17, TT_SIZE);
+    ttAge = new Uint8Array(buffer, TT_SIZE * 18, TT_SIZE);
+    ttCurrentAge = new Int32Array(buffer, TT_SIZE * TT_ENTRY_BYTES, 1);
+}
 
-    for (const [rowDir, colDir] of directions) {
-        let newRow = row + rowDir;
-        let newCol = col + colDir;
+attachTT(new ArrayBuffer(TT_BYTES));
 
-        while (isValidSquare(newRow, newCol)) {
-            const targetPiece = board[newRow][newCol];
-            if (!targetPiece) {
-                moves.push({ row: newRow, col: newCol });
-            } else {
-                if (getPieceColor(targetPiece) !== getPieceColor(piece)) {
-                    moves.push({ row: newRow, col: newCol });
-                }
-                break;
-            }
-            newRow += rowDir;
-            newCol += colDir;
-        }
-    }
+// Mate scores count down with distance from the root so shorter mates score higher
+const MATE_SCORE = 100000;
+const MATE_THRESHOLD = MATE_SCORE - 1000;
 
-    return moves;
+function clearTT() {
+    ttFlag.fill(TT_EMPTY);
+    ttCurrentAge[0] = 0;
 }
 
-// UTILITY FUNCTIONS
-
-function isValidSquare(row, col) {
-    return row >= 0 && row < 8 && col >= 0 && col < 8;
+// Called once per search; older entries become the first to be replaced
+function advanceTTAge() {
+    ttCurrentAge[0] = (ttCurrentAge[0] + 1) & 0xFF;
 }
 
-function getPieceColor(piece) {
-    return piece === piece.toUpperCase() ? 'white' : 'black';
+// Mate scores are stored relative to the node, not the root
+function scoreToTT(score, ply) {
+    if (score > MATE_THRESHOLD) return score + ply;
+    if (score < -MATE_THRESHOLD) return score - ply;
+    return score;
 }
 
-function wouldBeInCheck(fromRow, fromCol, toRow, toCol) {
-    const originalPiece = board[toRow][toCol];
-    board[toRow][toCol] = board[fromRow][fromCol];
-    board[fromRow][fromCol] = null;
-
-    const color = getPieceColor(board[toRow][toCol]);
-    const inCheck = isInCheck(color);
+function scoreFromTT(score, ply) {
+    if (score > MATE_THRESHOLD) return score - ply;
+    if (score < -MATE_THRESHOLD) return score + ply;
+    return score;
+}
 
-    board[fromRow][fromCol] = board[toRow][toCol];
-    board[toRow][toCol] = originalPiece;
+function encodeMove(move) {
+    const promotion = move.promotion ? ChessRules.PROMOTION_PIECES.indexOf(move.promotion) + 1 : 0;
+    return 1 + ((move.fromRow * 8 + move.fromCol) | ((move.toRow * 8 + move.toCol) << 6) | (promotion << 12));
+}
 
-    return inCheck;
+function decodeMove(code) {
+    if (!code) return null;
+    const bits = code - 1;
+    const from = bits & 63;
+    const to = (bits >> 6) & 63;
+    const promotion = bits >> 12;
+    const move = { fromRow: from >> 3, fromCol: from & 7, toRow: to >> 3, toCol: to & 7 };
+    if (promotion) move.promotion = ChessRules.PROMOTION_PIECES[promotion - 1];
+    return move;
 }
 
-function isInCheck(color) {
-    let kingRow, kingCol;
-    for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-            const piece = board[row][col];
-            if (piece && piece.toLowerCase() === 'k' && getPieceColor(piece) === color) {
-                kingRow = row;
-                kingCol = col;
-                break;
-            }
-        }
-    }
+// The entry's data folded into one word, XOR-ed into the stored key
+function ttChecksum(index) {
+    return ttScore[index] ^ ttMove[index] ^ ((ttDepth[index] & 0xFF) | (ttFlag[index] << 8) | (ttAge[index] << 16));
+}
 
-    return isSquareUnderAttack(kingRow, kingCol, color);
+function ttEntryMatches(index) {
+    return ttKeyHi[index] === hashHi && (ttKeyLo[index] ^ ttChecksum(index)) === hashLo;
 }
 
-function isSquareUnderAttack(row, col, defenderColor) {
-    for (let r = 0; r < 8; r++) {
-        for (let c = 0; c < 8; c++) {
-            const piece = board[r][c];
-            if (piece && getPieceColor(piece) !== defenderColor) {
-                const moves = getRawMoves(r, c);
-                if (moves.some(move => move.row === row && move.col === col)) {
-                    return true;
-                }
-            }
-        }
+// Entry for the current position, or null; scores come back adjusted to this ply
+function probeTT(ply) {
+    const index = hashLo & TT_MASK;
+    if (ttFlag[index] === TT_EMPTY || !ttEntryMatches(index)) {
+        return null;
     }
-    return false;
+    return {
+        depth: ttDepth[index],
+        flag: ttFlag[index],
+        score: scoreFromTT(ttScore[index], ply),
+        bestMove: decodeMove(ttMove[index])
+    };
 }
 
-function getRawMoves(row, col) {
-    const piece = board[row][col];
-    if (!piece) return [];
+// Keeps the existing entry only if it is from this search and deeper (and the new one isn't exact)
+function storeTT(depth, flag, score, bestMove, ply) {
+    const index = hashLo & TT_MASK;
+    const sameAge = ttFlag[index] !== TT_EMPTY && ttAge[index] === ttCurrentAge[0];
+    if (sameAge && ttDepth[index] > depth && flag !== TT_EXACT) return;
+
+    // Keep the old best move when re-storing the same position without one
+    const samePosition = ttEntryMatches(index);
+    ttMove[index] = bestMove ? encodeMove(bestMove) : (samePosition ? ttMove[index] : 0);
+    ttScore[index] = scoreToTT(score, ply);
+    ttDepth[index] = depth;
+    ttFlag[index] = flag;
+    ttAge[index] = ttCurrentAge[0];
+    ttKeyHi[index] = hashHi;
+    ttKeyLo[index] = hashLo ^ ttChecksum(index);
+}
 
-    const pieceType = piece.toLowerCase();
-    switch (pieceType) {
-        case 'p': return getPawnMoves(row, col);
-        case 'n': return getKnightMoves(row, col);
-        case 'b': return getBishopMoves(row, col);
-        case 'r': return getRookMoves(row, col);
-        case 'q': return getQueenMoves(row, col);
-        case 'k': return getKingMoves(row, col).filter(m => Math.abs(m.col - col) <= 1);
-        default: return [];
+// MAKE / UNMAKE
+
+// Moves played in the search tree, undone in reverse order
+const moveStack = [];
+
+// Keys of the game so far (from positionHistory) followed by the current search path
+const keyHistory = [];
+
+// Plays a move with full rules (castling rook, en passant, promotion, castling
+// rights, en passant target, side to move) and returns the undo record
+function makeMove(move) {
+    const previousHi = hashHi;
+    const previousLo = hashLo;
+    const undo = ChessRules.makeMove(position, move);
+    const { toRow, toCol } = move;
+
+    togglePiece(undo.piece, move.fromRow, move.fromCol);
+    togglePiece(board[toRow][toCol], toRow, toCol); // The promoted piece for promotions
+    if (undo.captured) togglePiece(undo.captured, undo.capturedRow, undo.capturedCol);
+    if (undo.rookFromCol !== null) {
+        const rook = board[toRow][undo.rookToCol];
+        togglePiece(rook, toRow, undo.rookFromCol);
+        togglePiece(rook, toRow, undo.rookToCol);
     }
-}
 
-// FEN GENERATION
+    const oldCastling = castlingIndex(undo.castlingRights);
+    const newCastling = castlingIndex(position.castlingRights);
+    if (oldCastling !== newCastling) {
+        xorKey(ZOBRIST_CASTLING, oldCastling);
+        xorKey(ZOBRIST_CASTLING, newCastling);
+    }
 
-function getFEN() {
-    let fen = '';
+    const previousEnPassantHashed = enPassantHashed;
+    if (enPassantHashed) xorKey(ZOBRIST_EN_PASSANT, undo.enPassantTarget.col);
+    enPassantHashed = ChessRules.hasLegalEnPassantCapture(position);
+    if (enPassantHashed) xorKey(ZOBRIST_EN_PASSANT, position.enPassantTarget.col);
+    xorKey(ZOBRIST_BLACK_TO_MOVE, 0);
 
-    for (let row = 0; row < 8; row++) {
-        let emptyCount = 0;
-        for (let col = 0; col < 8; col++) {
-            const piece = board[row][col];
-            if (piece) {
-                if (emptyCount > 0) {
-                    fen += emptyCount;
-                    emptyCount = 0;
-                }
-                fen += piece;
-            } else {
-                emptyCount++;
-            }
-        }
-        if (emptyCount > 0) fen += emptyCount;
-        if (row < 7) fen += '/';
-    }
+    moveStack.push({ move, undo, hashHi: previousHi, hashLo: previousLo, enPassantHashed: previousEnPassantHashed });
+    keyHistory.push(hashKey());
+    return undo;
+}
 
-    fen += ' ' + (currentTurn === 'white' ? 'w' : 'b');
+function unmakeMove() {
+    const { move, undo, hashHi: previousHi, hashLo: previousLo, enPassantHashed: previousEnPassantHashed } = moveStack.pop();
+    ChessRules.unmakeMove(position, move, undo);
+    hashHi = previousHi;
+    hashLo = previousLo;
+    enPassantHashed = previousEnPassantHashed;
+    keyHistory.pop();
+}
 
-    let castling = '';
-    if (castlingRights.white.kingside) castling += 'K';
-    if (castlingRights.white.queenside) castling += 'Q';
-    if (castlingRights.black.kingside) castling += 'k';
-    if (castlingRights.black.queenside) castling += 'q';
-    fen += ' ' + (castling || '-');
+// Passes the turn for null-move pruning (no piece moves, en passant expires)
+function makeNullMove() {
+    moveStack.push({
+        move: null,
+        hashHi,
+        hashLo,
+        enPassantTarget: position.enPassantTarget,
+        enPassantHashed,
+        currentTurn: position.currentTurn
+    });
 
-    if (enPassantTarget) {
-        fen += ' ' + String.fromCharCode(97 + enPassantTarget.col) + (8 - enPassantTarget.row);
-    } else {
-        fen += ' -';
-    }
+    if (enPassantHashed) xorKey(ZOBRIST_EN_PASSANT, position.enPassantTarget.col);
+    enPassantHashed = false;
+    position.enPassantTarget = null;
+    position.currentTurn = position.currentTurn === 'white' ? 'black' : 'white';
+    xorKey(ZOBRIST_BLACK_TO_MOVE, 0);
+    keyHistory.push(hashKey());
+}
 
-    return fen;
+function unmakeNullMove() {
+    const entry = moveStack.pop();
+    position.enPassantTarget = entry.enPassantTarget;
+    enPassantHashed = entry.enPassantHashed;
+    position.currentTurn = entry.currentTurn;
+    hashHi = entry.hashHi;
+    hashLo = entry.hashLo;
+    keyHistory.pop();
 }
 
+// Earlier occurrences of the current position in the game and the search path
 function countRepetitions() {
-    const currentFEN = getFEN().split(' ')[0];
+    const currentKey = keyHistory[keyHistory.length - 1];
     let count = 0;
-    for (const fen of positionHistory) {
-        if (fen.split(' ')[0] === currentFEN) {
+    for (let i = keyHistory.length - 2; i >= 0; i--) {
+        if (keyHistory[i] === currentKey) {
             count++;
         }
     }
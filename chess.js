@@ -50,56 +50,19 @@ const PIECES = {
     'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
 };
 
-// Piece values for AI evaluation
-const PIECE_VALUES = {
-    'p': 100, 'n': 320, 'b': 330, 'r': 500, 'q': 900, 'k': 20000,
-    'P': 100, 'N': 320, 'B': 330, 'R': 500, 'Q': 900, 'K': 20000
-};
+// Names for the promotion picker (piece order comes from ChessRules.PROMOTION_PIECES)
+const PROMOTION_NAMES = { 'q': 'Queen', 'r': 'Rook', 'b': 'Bishop', 'n': 'Knight' };
+
+// The AI searches on every worker of the pool from this rating up; weaker
+// settings reach their depth limit on one worker anyway
+const PARALLEL_SEARCH_MIN_ELO = 1800;
 
-// Position bonus tables for AI evaluation
-const PAWN_TABLE = [
-    0,  0,  0,  0,  0,  0,  0,  0,
-    50, 50, 50, 50, 50, 50, 50, 50,
-    10, 10, 20, 30, 30, 20, 10, 10,
-    5,  5, 10, 25, 25, 10,  5,  5,
-    0,  0,  0, 20, 20,  0,  0,  0,
-    5, -5,-10,  0,  0,-10, -5,  5,
-    5, 10, 10,-20,-20, 10, 10,  5,
-    0,  0,  0,  0,  0,  0,  0,  0
-];
-
-const KNIGHT_TABLE = [
-    -50,-40,-30,-30,-30,-30,-40,-50,
-    -40,-20,  0,  0,  0,  0,-20,-40,
-    -30,  0, 10, 15, 15, 10,  0,-30,
-    -30,  5, 15, 20, 20, 15,  5,-30,
-    -30,  0, 15, 20, 20, 15,  0,-30,
-    -30,  5, 10, 15, 15, 10,  5,-30,
-    -40,-20,  0,  5,  5,  0,-20,-40,
-    -50,-40,-30,-30,-30,-30,-40,-50
-];
-
-const BISHOP_TABLE = [
-    -20,-10,-10,-10,-10,-10,-10,-20,
-    -10,  0,  0,  0,  0,  0,  0,-10,
-    -10,  0,  5, 10, 10,  5,  0,-10,
-    -10,  5,  5, 10, 10,  5,  5,-10,
-    -10,  0, 10, 10, 10, 10,  0,-10,
-    -10, 10, 10, 10, 10, 10, 10,-10,
-    -10,  5,  0,  0,  0,  0,  5,-10,
-    -20,-10,-10,-10,-10,-10,-10,-20
-];
-
-const KING_TABLE = [
-    -30,-40,-40,-50,-50,-40,-40,-30,
-    -30,-40,-40,-50,-50,-40,-40,-30,
-    -30,-40,-40,-50,-50,-40,-40,-30,
-    -30,-40,-40,-50,-50,-40,-40,-30,
-    -20,-30,-30,-40,-40,-30,-30,-20,
-    -10,-20,-20,-20,-20,-20,-20,-10,
-    20, 20,  0,  0,  0,  0, 20, 20,
-    20, 30, 10,  0,  0, 10, 30, 20
-];
+// Seeds are unsigned 32-bit integers (see createRandom in chess-worker.js)
+const MAX_SEED = 0xFFFFFFFF;
+
+// A seeded search stops on its node budget, which a slow computer can take longer than
+// the level's thinking time to reach; it is only cut short this many times over the time
+const SEEDED_HARD_TIMEOUT_FACTOR = 4;
 
 class ChessGame {
     constructor() {
@@ -112,25 +75,35 @@ class ChessGame {
         this.playerColor = 'white';
         this.aiColor = 'black';
         this.gameOver = false;
+        this.gameResult = '*';
         this.lastMove = null;
         this.enPassantTarget = null;
+        this.promotionPending = false;
+        this.replayMoves = null; // Set while stepping through an imported PGN game
         this.aiElo = 1000; // Default AI Elo rating
+        this.aiPersonality = AISettings.DEFAULT_PERSONALITY; // Playing style, see AISettings.PERSONALITIES
+        this.aiSeed = null; // Seed for the AI's randomness this game, null to play unseeded
         this.castlingRights = {
             white: { kingside: true, queenside: true },
             black: { kingside: true, queenside: true }
         };
-        // OPTIMIZATION: Position history for repetition detection
-        this.positionHistory = [];
+        // Draw rule counters (halfmove clock for the fifty-move rule)
+        this.halfmoveClock = 0;
+        this.fullmoveNumber = 1;
+        // OPTIMIZATION: Position history for repetition detection (starts with the initial position)
+        this.positionHistory = [this.getFEN()];
         
         // Lesson mode properties
         this.lessonMode = false;
         this.lessonEngine = null;
         this.currentBoardElement = 'chessboard';
 
-        // WEB WORKER: Initialize AI worker for background search
+        // WEB WORKER: Initialize AI workers for background search (see search-pool.js)
         this.workerReady = false;
+        this.lastRequestId = 0; // Ids tag worker requests so replies to old ones can be ignored
+        this.aiSearch = null;   // { id, onResult, cancel } while the AI is thinking
         try {
-            this.aiWorker = new Worker('chess-worker.js');
+            this.aiWorker = new SearchPool('chess-worker.js');
 
             this.aiWorker.onmessage = (e) => {
                 this.handleWorkerMessage(e);
@@ -144,8 +117,10 @@ class ChessGame {
             };
 
             // Test if worker is actually working
-            console.log('AI Worker object created, testing communication...');
+            console.log(`AI Worker pool created with ${this.aiWorker.size} worker(s), testing communication...`);
             this.workerReady = true;
+            this.loadOpeningBook();
+            this.loadKPKBitbase();
 
         } catch (error) {
             console.error('Failed to create AI Worker:', error);
@@ -163,22 +138,64 @@ class ChessGame {
 
     handleWorkerMessage(e) {
         const { type, ...data } = e.data;
+        const isCurrentSearch = this.aiSearch && data.id === this.aiSearch.id;
 
         if (type === 'move') {
-            // Worker found best move
-            if (this.workerCallback) {
-                this.workerCallback(data);
+            // Worker found best move; a search cancelled by newGame or undoMove still replies
+            if (isCurrentSearch) {
+                this.aiSearch.onResult(data);
             }
         } else if (type === 'progress') {
             // Worker progress update
-            console.log(`Depth ${data.depth}: ${data.nodes} nodes, score: ${data.score}`);
+            if (isCurrentSearch) {
+                console.log(`Depth ${data.depth}: ${data.nodes} nodes (${data.nps} nodes/s), score: ${data.score}`);
+            }
+        } else if (type === 'evaluation') {
+            if (data.id === this.evaluationRequestId) {
+                this.showEvaluation(data);
+            }
+        } else if (type === 'analysis') {
+            this.showAnalysis(data);
+        }
+    }
+
+    // Posts a 'search', 'analyze' or 'evaluate' request under a new id and returns the id
+    postWorkerRequest(request) {
+        const id = ++this.lastRequestId;
+        this.aiWorker.postMessage({ ...request, id });
+        return id;
+    }
+
+    // The opening book is played by the worker and shown in the opening lessons
+    async loadOpeningBook() {
+        try {
+            const response = await fetch('opening-book.json');
+            this.openingBook = await response.json();
+            this.aiWorker?.postMessage({ type: 'book', book: this.openingBook });
+        } catch (error) {
+            console.warn('Opening book not available, the AI will search from move one:', error);
+        }
+    }
+
+    // Perfect king and pawn endings for the worker, and win checks in endgame lessons
+    async loadKPKBitbase() {
+        try {
+            const response = await fetch('kpk-bitbase.bin');
+            const bitbase = new Uint8Array(await response.arrayBuffer());
+            if (bitbase.length !== KPK.KPK_BYTES) {
+                throw new Error(`expected ${KPK.KPK_BYTES} bytes, got ${bitbase.length}`);
+            }
+            this.kpkBitbase = bitbase;
+            this.aiWorker?.postMessage({ type: 'bitbase', bitbase });
+        } catch (error) {
+            console.warn('KPK bitbase not available, the AI will search pawn endings:', error);
         }
     }
 
     handleWorkerError(error) {
         console.error('Worker encountered an error:', error);
-        if (this.workerCallback) {
-            this.workerCallback({ move: null, error: true });
+        if (this.aiSearch) {
+            this.aiSearch.onResult({ move: null, error: true });
         }
     }
 
@@ -222,7 +239,7 @@ class ChessGame {
     }
 
     handleSquareClick(row, col) {
-        if (this.gameOver) return;
+        if (this.gameOver || this.promotionPending || this.replayMoves) return;
         
         // Handle lesson mode differently
         if (this.lessonMode) {
@@ -241,14 +258,16 @@ class ChessGame {
             );
 
             if (isValidMove) {
-                this.makeMove(selectedRow, selectedCol, row, col);
-                this.selectedSquare = null;
-                this.validMoves = [];
-                this.renderBoard();
+                this.choosePromotion(selectedRow, selectedCol, row, (promotion) => {
+                    this.makeMove(selectedRow, selectedCol, row, col, promotion);
+                    this.selectedSquare = null;
+                    this.validMoves = [];
+                    this.renderBoard();
 
-                if (!this.gameOver && this.currentTurn === this.aiColor) {
-                    setTimeout(() => this.makeAIMove(), 500);
-                }
+                    if (!this.gameOver && this.currentTurn === this.aiColor) {
+                        setTimeout(() => this.makeAIMove(), 500);
+                    }
+                });
             } else if (piece && this.getPieceColor(piece) === this.currentTurn) {
                 this.selectSquare(row, col);
             } else {
@@ -267,348 +286,141 @@ class ChessGame {
         this.renderBoard();
     }
 
-    makeMove(fromRow, fromCol, toRow, toCol) {
-        const piece = this.board[fromRow][fromCol];
-        const capturedPiece = this.board[toRow][toCol];
-        const isEnPassant = this.enPassantTarget &&
-                           toRow === this.enPassantTarget.row &&
-                           toCol === this.enPassantTarget.col &&
-                           piece.toLowerCase() === 'p';
-
-        // Record move
-        const moveNotation = this.getMoveNotation(fromRow, fromCol, toRow, toCol);
-
-        // Handle en passant capture
-        if (isEnPassant) {
-            const capturedRow = this.currentTurn === 'white' ? toRow + 1 : toRow - 1;
-            const capturedPawn = this.board[capturedRow][toCol];
-            this.board[capturedRow][toCol] = null;
-            if (capturedPawn) {
-                const captureColor = this.getPieceColor(capturedPawn) === 'white' ? 'black' : 'white';
-                this.capturedPieces[captureColor].push(capturedPawn);
-            }
+    // Ask the player which piece to promote to, then continue with the choice.
+    // Non-promoting moves continue immediately with no promotion piece.
+    choosePromotion(fromRow, fromCol, toRow, onChoose) {
+        if (!this.isPromotionMove(fromRow, fromCol, toRow)) {
+            onChoose(null);
+            return;
         }
 
-        // Handle castling
-        if (piece.toLowerCase() === 'k' && Math.abs(toCol - fromCol) === 2) {
-            const rookFromCol = toCol > fromCol ? 7 : 0;
-            const rookToCol = toCol > fromCol ? toCol - 1 : toCol + 1;
-            this.board[toRow][rookToCol] = this.board[toRow][rookFromCol];
-            this.board[toRow][rookFromCol] = null;
+        const color = this.getPieceColor(this.board[fromRow][fromCol]);
+        const overlay = document.createElement('div');
+        overlay.className = 'promotion-overlay';
+
+        const picker = document.createElement('div');
+        picker.className = 'promotion-picker';
+
+        for (const pieceType of ChessRules.PROMOTION_PIECES) {
+            const piece = color === 'white' ? pieceType.toUpperCase() : pieceType;
+            const option = document.createElement('button');
+            option.className = 'promotion-option';
+            option.textContent = PIECES[piece];
+            option.title = PROMOTION_NAMES[pieceType];
+            option.addEventListener('click', (e) => {
+                e.stopPropagation();
+                overlay.remove();
+                this.promotionPending = false;
+                onChoose(pieceType);
+            });
+            picker.appendChild(option);
         }
 
-        // Move piece
-        this.board[toRow][toCol] = piece;
-        this.board[fromRow][fromCol] = null;
+        // Clicking outside the picker cancels the move
+        overlay.addEventListener('click', () => {
+            overlay.remove();
+            this.promotionPending = false;
+            this.selectedSquare = null;
+            this.validMoves = [];
+            this.renderBoard();
+        });
 
-        // Handle pawn promotion
-        if (piece.toLowerCase() === 'p' && (toRow === 0 || toRow === 7)) {
-            this.board[toRow][toCol] = this.currentTurn === 'white' ? 'Q' : 'q';
-        }
+        overlay.appendChild(picker);
+        document.body.appendChild(overlay);
+        this.promotionPending = true;
+    }
 
-        // Update castling rights
-        if (piece.toLowerCase() === 'k') {
-            this.castlingRights[this.currentTurn].kingside = false;
-            this.castlingRights[this.currentTurn].queenside = false;
-        }
-        if (piece.toLowerCase() === 'r') {
-            if (fromCol === 0) this.castlingRights[this.currentTurn].queenside = false;
-            if (fromCol === 7) this.castlingRights[this.currentTurn].kingside = false;
-        }
+    isPromotionMove(fromRow, fromCol, toRow) {
+        return ChessRules.isPromotionMove(this.board, fromRow, fromCol, toRow);
+    }
 
-        // Set en passant target
-        this.enPassantTarget = null;
-        if (piece.toLowerCase() === 'p' && Math.abs(toRow - fromRow) === 2) {
-            this.enPassantTarget = {
-                row: this.currentTurn === 'white' ? fromRow - 1 : fromRow + 1,
-                col: fromCol
-            };
+    makeMove(fromRow, fromCol, toRow, toCol, promotion = null) {
+        const piece = this.board[fromRow][fromCol];
+
+        // Promotion defaults to a queen when no piece was chosen (e.g. old callers)
+        if (this.isPromotionMove(fromRow, fromCol, toRow)) {
+            promotion = (promotion || 'q').toLowerCase();
+        } else {
+            promotion = null;
         }
 
+        // Record move
+        const move = { fromRow, fromCol, toRow, toCol, promotion };
+        const moveNotation = ChessRules.getSAN(this, move);
+
+        // Moves the piece (and castling rook / en passant pawn), then updates
+        // castling rights, en passant target, move counters and the side to move
+        const { captured: capturedPiece } = ChessRules.makeMove(this, move);
+
         // Capture piece
         if (capturedPiece) {
             const captureColor = this.getPieceColor(capturedPiece) === 'white' ? 'black' : 'white';
             this.capturedPieces[captureColor].push(capturedPiece);
         }
 
-        this.lastMove = { fromRow, fromCol, toRow, toCol };
-        this.moveHistory.push({ moveNotation, piece, fromRow, fromCol, toRow, toCol, capturedPiece, board: JSON.parse(JSON.stringify(this.board)) });
+        this.lastMove = move;
+        this.moveHistory.push({
+            moveNotation, piece, fromRow, fromCol, toRow, toCol, promotion, capturedPiece,
+            board: JSON.parse(JSON.stringify(this.board)),
+            castlingRights: JSON.parse(JSON.stringify(this.castlingRights)),
+            enPassantTarget: this.enPassantTarget,
+            halfmoveClock: this.halfmoveClock,
+            fullmoveNumber: this.fullmoveNumber
+        });
 
         // OPTIMIZATION: Track position for repetition detection
         this.positionHistory.push(this.getFEN());
 
-        // Switch turns
-        this.currentTurn = this.currentTurn === 'white' ? 'black' : 'white';
-
         // Check for checkmate or stalemate
         this.checkGameOver();
         this.updateUI();
     }
 
-    getMoveNotation(fromRow, fromCol, toRow, toCol) {
-        const piece = this.board[fromRow][fromCol];
-        const pieceSymbol = piece.toUpperCase() === 'P' ? '' : piece.toUpperCase();
-        const fromSquare = String.fromCharCode(97 + fromCol) + (8 - fromRow);
-        const toSquare = String.fromCharCode(97 + toCol) + (8 - toRow);
-        const capture = this.board[toRow][toCol] ? 'x' : '';
-        return `${pieceSymbol}${fromSquare}${capture}${toSquare}`;
+    // Standard Algebraic Notation for a legal move in the current position,
+    // e.g. "Nbd2", "R1e1", "exd6", "O-O-O", "e8=Q+", "Qh7#"
+    getMoveNotation(fromRow, fromCol, toRow, toCol, promotion = null) {
+        return ChessRules.getSAN(this, { fromRow, fromCol, toRow, toCol, promotion });
     }
 
+    // Move generation and legality live in chess-rules.js, shared with the worker
     getValidMovesForPiece(row, col) {
-        const piece = this.board[row][col];
-        if (!piece) return [];
-
-        const moves = [];
-        const pieceType = piece.toLowerCase();
-
-        switch (pieceType) {
-            case 'p':
-                moves.push(...this.getPawnMoves(row, col));
-                break;
-            case 'n':
-                moves.push(...this.getKnightMoves(row, col));
-                break;
-            case 'b':
-                moves.push(...this.getBishopMoves(row, col));
-                break;
-            case 'r':
-                moves.push(...this.getRookMoves(row, col));
-                break;
-            case 'q':
-                moves.push(...this.getQueenMoves(row, col));
-                break;
-            case 'k':
-                moves.push(...this.getKingMoves(row, col));
-                break;
-        }
-
-        // Filter out moves that would put own king in check
-        return moves.filter(move => !this.wouldBeInCheck(row, col, move.row, move.col));
-    }
-
-    getPawnMoves(row, col) {
-        const moves = [];
-        const piece = this.board[row][col];
-        const direction = piece === 'P' ? -1 : 1;
-        const startRow = piece === 'P' ? 6 : 1;
-
-        // Forward move
-        if (this.isValidSquare(row + direction, col) && !this.board[row + direction][col]) {
-            moves.push({ row: row + direction, col });
-
-            // Double move from start
-            if (row === startRow && !this.board[row + 2 * direction][col]) {
-                moves.push({ row: row + 2 * direction, col });
-            }
-        }
-
-        // Captures
-        for (const colOffset of [-1, 1]) {
-            const newRow = row + direction;
-            const newCol = col + colOffset;
-            if (this.isValidSquare(newRow, newCol)) {
-                const targetPiece = this.board[newRow][newCol];
-                if (targetPiece && this.getPieceColor(targetPiece) !== this.getPieceColor(piece)) {
-                    moves.push({ row: newRow, col: newCol });
-                }
-                // En passant
-                if (this.enPassantTarget &&
-                    newRow === this.enPassantTarget.row &&
-                    newCol === this.enPassantTarget.col) {
-                    moves.push({ row: newRow, col: newCol });
-                }
-            }
-        }
-
-        return moves;
-    }
-
-    getKnightMoves(row, col) {
-        const moves = [];
-        const offsets = [
-            [-2, -1], [-2, 1], [-1, -2], [-1, 2],
-            [1, -2], [1, 2], [2, -1], [2, 1]
-        ];
-
-        for (const [rowOffset, colOffset] of offsets) {
-            const newRow = row + rowOffset;
-            const newCol = col + colOffset;
-            if (this.isValidSquare(newRow, newCol)) {
-                const targetPiece = this.board[newRow][newCol];
-                if (!targetPiece || this.getPieceColor(targetPiece) !== this.getPieceColor(this.board[row][col])) {
-                    moves.push({ row: newRow, col: newCol });
-                }
-            }
-        }
-
-        return moves;
-    }
-
-    getBishopMoves(row, col) {
-        return this.getSlidingMoves(row, col, [[-1, -1], [-1, 1], [1, -1], [1, 1]]);
-    }
-
-    getRookMoves(row, col) {
-        return this.getSlidingMoves(row, col, [[-1, 0], [1, 0], [0, -1], [0, 1]]);
-    }
-
-    getQueenMoves(row, col) {
-        return this.getSlidingMoves(row, col, [
-            [-1, -1], [-1, 0], [-1, 1],
-            [0, -1], [0, 1],
-            [1, -1], [1, 0], [1, 1]
-        ]);
-    }
-
-    getKingMoves(row, col) {
-        const moves = [];
-        const offsets = [
-            [-1, -1], [-1, 0], [-1, 1],
-            [0, -1], [0, 1],
-            [1, -1], [1, 0], [1, 1]
-        ];
-
-        for (const [rowOffset, colOffset] of offsets) {
-            const newRow = row + rowOffset;
-            const newCol = col + colOffset;
-            if (this.isValidSquare(newRow, newCol)) {
-                const targetPiece = this.board[newRow][newCol];
-                if (!targetPiece || this.getPieceColor(targetPiece) !== this.getPieceColor(this.board[row][col])) {
-                    moves.push({ row: newRow, col: newCol });
-                }
-            }
-        }
-
-        // Castling
-        const color = this.getPieceColor(this.board[row][col]);
-        if (this.castlingRights[color].kingside &&
-            !this.board[row][5] && !this.board[row][6] &&
-            !this.isSquareUnderAttack(row, 4, color) &&
-            !this.isSquareUnderAttack(row, 5, color) &&
-            !this.isSquareUnderAttack(row, 6, color)) {
-            moves.push({ row, col: 6 });
-        }
-        if (this.castlingRights[color].queenside &&
-            !this.board[row][1] && !this.board[row][2] && !this.board[row][3] &&
-            !this.isSquareUnderAttack(row, 4, color) &&
-            !this.isSquareUnderAttack(row, 3, color) &&
-            !this.isSquareUnderAttack(row, 2, color)) {
-            moves.push({ row, col: 2 });
-        }
-
-        return moves;
-    }
-
-    getSlidingMoves(row, col, directions) {
-        const moves = [];
-        const piece = this.board[row][col];
-
-        for (const [rowDir, colDir] of directions) {
-            let newRow = row + rowDir;
-            let newCol = col + colDir;
-
-            while (this.isValidSquare(newRow, newCol)) {
-                const targetPiece = this.board[newRow][newCol];
-                if (!targetPiece) {
-                    moves.push({ row: newRow, col: newCol });
-                } else {
-                    if (this.getPieceColor(targetPiece) !== this.getPieceColor(piece)) {
-                        moves.push({ row: newRow, col: newCol });
-                    }
-                    break;
-                }
-                newRow += rowDir;
-                newCol += colDir;
-            }
-        }
-
-        return moves;
+        return ChessRules.getValidMovesForPiece(this, row, col);
     }
 
     isValidSquare(row, col) {
-        return row >= 0 && row < 8 && col >= 0 && col < 8;
+        return ChessRules.isValidSquare(row, col);
     }
 
     getPieceColor(piece) {
-        return piece === piece.toUpperCase() ? 'white' : 'black';
-    }
-
-    wouldBeInCheck(fromRow, fromCol, toRow, toCol) {
-        // Simulate move
-        const originalPiece = this.board[toRow][toCol];
-        this.board[toRow][toCol] = this.board[fromRow][fromCol];
-        this.board[fromRow][fromCol] = null;
-
-        const color = this.getPieceColor(this.board[toRow][toCol]);
-        const inCheck = this.isInCheck(color);
-
-        // Undo move
-        this.board[fromRow][fromCol] = this.board[toRow][toCol];
-        this.board[toRow][toCol] = originalPiece;
-
-        return inCheck;
+        return ChessRules.getPieceColor(piece);
     }
 
     isInCheck(color) {
-        // Find king position
-        let kingRow, kingCol;
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && piece.toLowerCase() === 'k' && this.getPieceColor(piece) === color) {
-                    kingRow = row;
-                    kingCol = col;
-                    break;
-                }
-            }
-        }
-
-        return this.isSquareUnderAttack(kingRow, kingCol, color);
-    }
-
-    isSquareUnderAttack(row, col, defenderColor) {
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const piece = this.board[r][c];
-                if (piece && this.getPieceColor(piece) !== defenderColor) {
-                    const moves = this.getRawMoves(r, c);
-                    if (moves.some(move => move.row === row && move.col === col)) {
-                        return true;
-                    }
-                }
-            }
-        }
-        return false;
-    }
-
-    getRawMoves(row, col) {
-        const piece = this.board[row][col];
-        if (!piece) return [];
-
-        const pieceType = piece.toLowerCase();
-        switch (pieceType) {
-            case 'p': return this.getPawnMoves(row, col);
-            case 'n': return this.getKnightMoves(row, col);
-            case 'b': return this.getBishopMoves(row, col);
-            case 'r': return this.getRookMoves(row, col);
-            case 'q': return this.getQueenMoves(row, col);
-            case 'k': return this.getKingMoves(row, col).filter(m => Math.abs(m.col - col) <= 1); // Exclude castling for attack detection
-            default: return [];
-        }
+        return ChessRules.isInCheck(this.board, color);
     }
 
     checkGameOver() {
         const hasValidMoves = this.hasAnyValidMoves(this.currentTurn);
         const inCheck = this.isInCheck(this.currentTurn);
+        const drawReason = hasValidMoves ? this.getDrawReason() : null;
+
+        // Result in PGN form: "1-0", "0-1", "1/2-1/2" or "*" while the game goes on
+        this.gameResult = '*';
 
         if (!hasValidMoves) {
             this.gameOver = true;
             if (inCheck) {
                 const winner = this.currentTurn === 'white' ? 'Black' : 'White';
+                this.gameResult = winner === 'White' ? '1-0' : '0-1';
                 document.getElementById('status').textContent = `Checkmate! ${winner} wins!`;
             } else {
+                this.gameResult = '1/2-1/2';
                 document.getElementById('status').textContent = 'Stalemate!';
             }
+        } else if (drawReason) {
+            this.gameOver = true;
+            this.gameResult = '1/2-1/2';
+            document.getElementById('status').textContent = `Draw by ${drawReason}`;
         } else if (inCheck) {
             document.getElementById('status').textContent = 'Check!';
         } else {
@@ -616,22 +428,19 @@ class ChessGame {
         }
     }
 
+    // Returns why the current position is a draw, or null if play continues
+    getDrawReason() {
+        return ChessRules.getDrawReason(this, this.positionHistory);
+    }
+
     hasAnyValidMoves(color) {
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && this.getPieceColor(piece) === color) {
-                    const moves = this.getValidMovesForPiece(row, col);
-                    if (moves.length > 0) return true;
-                }
-            }
-        }
-        return false;
+        return ChessRules.hasAnyLegalMoves(this, color);
     }
 
     // AI Implementation (Web Worker based - UI stays responsive)
     makeAIMove() {
-        if (this.gameOver) return;
+        // A delayed call can outlive the position it was meant for (new game, undo)
+        if (this.gameOver || this.aiSearch || this.currentTurn !== this.aiColor) return;
 
         if (!this.aiWorker || !this.workerReady) {
             console.error('AI Worker not available - cannot make AI move');
@@ -646,6 +455,9 @@ class ChessGame {
         document.body.appendChild(thinkingDiv);
 
         const settings = this.getAISettings();
+        if (this.aiSeed !== null) {
+            settings.seed = this.aiSeed;
+        }
         this.aiStartTime = Date.now();
         const maxTime = settings.timePerMove / 1000;
 
@@ -670,18 +482,22 @@ class ChessGame {
             }
         }, 50);
 
-        // Set up worker callback
-        this.workerCallback = (result) => {
+        // Handle the worker's reply
+        const onResult = (result) => {
             try {
                 // Stop timer
                 clearInterval(timerInterval);
-                if (hardTimeoutId) clearTimeout(hardTimeoutId);
+                clearTimeout(hardTimeoutId);
 
                 const finalTime = ((Date.now() - this.aiStartTime) / 1000).toFixed(1);
 
                 if (result.move && !result.error) {
-                    console.log(`AI move: depth ${result.depth}, nodes: ${result.nodes}, time: ${finalTime}s`);
-                    this.makeMove(result.move.fromRow, result.move.fromCol, result.move.toRow, result.move.toCol);
+                    if (result.book) {
+                        console.log(`AI move: from the opening book, time: ${finalTime}s`);
+                    } else {
+                        console.log(`AI move: depth ${result.depth}, nodes: ${result.nodes} (${result.nps} nodes/s), time: ${finalTime}s`);
+                    }
+                    this.makeMove(result.move.fromRow, result.move.fromCol, result.move.toRow, result.move.toCol, result.move.promotion);
                     this.renderBoard();
                 } else {
                     console.error('AI failed to find a move');
@@ -704,17 +520,37 @@ class ChessGame {
             }
 
             thinkingDiv.remove();
-            this.workerCallback = null; // Clear callback
+            this.aiSearch = null;
         };
 
-        // Hard timeout - stop worker after max time
+        // Abandon the search: its reply will be ignored
+        const cancel = () => {
+            clearInterval(timerInterval);
+            clearTimeout(hardTimeoutId);
+            this.aiWorker?.postMessage({ type: 'stop', id });
+            document.getElementById('timer-bar').style.width = '0%';
+            document.getElementById('timer-bar').classList.remove('warning');
+            document.getElementById('timer-current').textContent = '0.0';
+            thinkingDiv.remove();
+            this.aiSearch = null;
+        };
+
+        // Hard timeout - stop worker after max time. A seeded search gets longer, since
+        // cutting it short makes the game impossible to replay, but a stalled one still ends.
+        const seeded = settings.seed !== undefined;
+        const hardTimeoutMs = seeded ?
+            settings.timePerMove * SEEDED_HARD_TIMEOUT_FACTOR :
+            settings.timePerMove + 500; // Give 500ms grace period
         const hardTimeoutId = setTimeout(() => {
             console.warn('HARD TIMEOUT: Stopping worker');
-            this.aiWorker.postMessage({ type: 'stop' });
-        }, settings.timePerMove + 500); // Give 500ms grace period
+            if (seeded) {
+                console.warn('The seeded search was cut short, so this game may not replay exactly');
+            }
+            this.aiWorker.postMessage({ type: 'stop', id });
+        }, hardTimeoutMs);
 
         // Send search request to worker
-        this.aiWorker.postMessage({
+        const id = this.postWorkerRequest({
             type: 'search',
             board: this.board,
             settings: settings,
@@ -722,8 +558,19 @@ class ChessGame {
             currentTurn: this.currentTurn,
             castlingRights: this.castlingRights,
             enPassantTarget: this.enPassantTarget,
-            positionHistory: this.positionHistory
+            positionHistory: this.positionHistory,
+            fullmoveNumber: this.fullmoveNumber,
+            // Helpers would make a seeded search depend on thread timing
+            parallel: this.aiElo >= PARALLEL_SEARCH_MIN_ELO && this.aiSeed === null
         });
+        this.aiSearch = { id, onResult, cancel };
+    }
+
+    // Stops the AI's search when the position it was searching goes away
+    cancelAIMove() {
+        if (this.aiSearch) {
+            this.aiSearch.cancel();
+        }
     }
 
     isAITimedOut() {
@@ -732,122 +579,18 @@ class ChessGame {
     }
 
     // CONTINUOUS ELO INTERPOLATION: Smooth difficulty scaling for any ELO value
-    getAISettings() {
-        const elo = Math.max(500, Math.min(2200, this.aiElo)); // Clamp to valid range
-
-        // Linear interpolation helper
-        const lerp = (minElo, maxElo, minVal, maxVal) => {
-            const t = (elo - minElo) / (maxElo - minElo);
-            return minVal + t * (maxVal - minVal);
-        };
-
-        // SEARCH DEPTH: 1 @ 500 ELO → 6 @ 2200 ELO
-        const searchDepth = elo <= 500 ? 0 : Math.round(lerp(500, 2200, 1, 6));
-
-        // MISTAKE RATE: 0.90 @ 500 → 0.02 @ 2200 (probability of making a blunder)
-        const mistakeRate = lerp(500, 2200, 0.90, 0.02);
-
-        // MISTAKE SIZE: 350cp @ 500 → 100cp @ 2200 (how bad blunders are)
-        const mistakeSizeCp = Math.round(lerp(500, 2200, 350, 100));
-
-        // TIME PER MOVE: 300ms @ 500 → 5000ms @ 2200
-        const timePerMove = Math.round(lerp(500, 2200, 300, 5000));
-
-        // MAX NODES: Node count limit as backup (50K @ 500 → 500K @ 2200)
-        const maxNodes = Math.round(lerp(500, 2200, 50000, 500000));
-
-        // POSITION WEIGHT: 0.0 @ 500 → 1.5 @ 2200
-        const positionWeight = lerp(500, 2200, 0.0, 1.5);
-
-        // MOBILITY WEIGHT: 0.0 @ 500 → 1.0 @ 2200
-        const mobilityWeight = lerp(500, 2200, 0.0, 1.0);
-
-        // PAWN STRUCTURE WEIGHT: 0.0 @ 500 → 1.0 @ 2200
-        const pawnStructureWeight = lerp(500, 2200, 0.0, 1.0);
-
-        // KING SAFETY WEIGHT: 0.0 @ 500 → 1.2 @ 2200
-        const kingSafetyWeight = lerp(500, 2200, 0.0, 1.2);
-
-        // SOFTMAX TEMPERATURE: 1.2 @ 500 → 0.3 @ 2200 (lower = more deterministic)
-        const temperature = lerp(500, 2200, 1.2, 0.3);
-
-        // SOFTMAX WINDOW: 80cp @ 500 → 30cp @ 2200 (narrower window at high ELO)
-        const softmaxWindow = Math.round(lerp(500, 2200, 80, 30));
-
-        // QUIESCENCE SEARCH: Enable from 1200+ ELO
-        const useQuiescence = elo >= 1200;
-
-        return {
-            searchDepth,
-            mistakeRate,
-            mistakeSizeCp,
-            timePerMove,
-            maxNodes,
-            positionWeight,
-            mobilityWeight,
-            pawnStructureWeight,
-            kingSafetyWeight,
-            temperature,
-            softmaxWindow,
-            useQuiescence
-        };
+    getAISettings(aiElo = this.aiElo, personality = this.aiPersonality) {
+        return AISettings.getAISettings(aiElo, personality);
     }
 
     // KEEP FEN generation for position history tracking
     getFEN() {
-        let fen = '';
-
-        for (let row = 0; row < 8; row++) {
-            let emptyCount = 0;
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece) {
-                    if (emptyCount > 0) {
-                        fen += emptyCount;
-                        emptyCount = 0;
-                    }
-                    fen += piece;
-                } else {
-                    emptyCount++;
-                }
-            }
-            if (emptyCount > 0) fen += emptyCount;
-            if (row < 7) fen += '/';
-        }
-
-        fen += ' ' + (this.currentTurn === 'white' ? 'w' : 'b');
-
-        let castling = '';
-        if (this.castlingRights.white.kingside) castling += 'K';
-        if (this.castlingRights.white.queenside) castling += 'Q';
-        if (this.castlingRights.black.kingside) castling += 'k';
-        if (this.castlingRights.black.queenside) castling += 'q';
-        fen += ' ' + (castling || '-');
-
-        if (this.enPassantTarget) {
-            fen += ' ' + String.fromCharCode(97 + this.enPassantTarget.col) + (8 - this.enPassantTarget.row);
-        } else {
-            fen += ' -';
-        }
-
-        return fen;
+        return ChessRules.generateFEN(this);
     }
 
     // KEEP getAllValidMoves for checking if moves exist
     getAllValidMoves(color) {
-        const moves = [];
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && this.getPieceColor(piece) === color) {
-                    const pieceMoves = this.getValidMovesForPiece(row, col);
-                    for (const move of pieceMoves) {
-                        moves.push({ fromRow: row, fromCol: col, toRow: move.row, toCol: move.col });
-                    }
-                }
-            }
-        }
-        return moves;
+        return ChessRules.getLegalMoves(this, color);
     }
 
     // Removed old search functions - now handled by chess-worker.js:
@@ -861,9 +604,6 @@ class ChessGame {
         return false;
     }
 
-    // Move generation functions deleted here - see lines 753-1469 in original
-    // Now only in worker. Main thread only needs getAllValidMoves for UI.
-
     // UI FUNCTIONS BELOW THIS LINE
 
     renderBoard() {
@@ -914,15 +654,47 @@ class ChessGame {
         document.getElementById('captured-black').textContent =
             this.capturedPieces.black.map(p => PIECES[p]).join(' ');
 
-        // Update move history
+        // Update move history (a replayed game lists every move and marks the current one)
         const historyDiv = document.getElementById('history');
-        historyDiv.innerHTML = this.moveHistory.map((move, index) =>
-            `<div class="move-entry">${Math.floor(index / 2) + 1}. ${move.moveNotation}</div>`
+        const moves = this.replayMoves || this.moveHistory;
+        const currentPly = this.replayMoves ? this.moveHistory.length : null;
+        historyDiv.innerHTML = this.getMoveListRows(moves, currentPly).map(row =>
+            `<div class="move-entry">${row}</div>`
         ).join('');
-        historyDiv.scrollTop = historyDiv.scrollHeight;
+        if (!this.replayMoves) {
+            historyDiv.scrollTop = historyDiv.scrollHeight;
+        }
+
+        const historyNav = document.getElementById('history-nav');
+        if (historyNav) {
+            historyNav.style.display = this.replayMoves ? 'flex' : 'none';
+        }
+
+        this.requestEvaluation();
+        this.updateAnalysis();
+    }
+
+    // Book-style move list: one row per move number, e.g. "1. e4 e5" or "12... Nf6"
+    getMoveListRows(moves = this.moveHistory, currentPly = null) {
+        const rows = [];
+        moves.forEach((move, index) => {
+            const isWhite = this.getPieceColor(move.piece) === 'white';
+            const moveNumber = isWhite ? move.fullmoveNumber : move.fullmoveNumber - 1;
+            const notation = index + 1 === currentPly ?
+                `<span class="current-move">${move.moveNotation}</span>` : move.moveNotation;
+            if (isWhite || rows.length === 0) {
+                rows.push(`${moveNumber}.${isWhite ? '' : '..'} ${notation}`);
+            } else {
+                rows[rows.length - 1] += ` ${notation}`;
+            }
+        });
+        return rows;
     }
 
     newGame() {
+        this.cancelAIMove();
+        this.aiSeed = this.readSeedInput();
+        document.getElementById('game-seed').textContent = this.aiSeed === null ? 'None' : this.aiSeed;
         this.board = this.createInitialBoard();
         this.currentTurn = 'white';
         this.selectedSquare = null;
@@ -930,15 +702,22 @@ class ChessGame {
         this.moveHistory = [];
         this.capturedPieces = { white: [], black: [] };
         this.gameOver = false;
+        this.gameResult = '*';
         this.lastMove = null;
         this.enPassantTarget = null;
+        this.promotionPending = false;
+        this.replayMoves = null;
+        document.querySelector('.promotion-overlay')?.remove();
         this.castlingRights = {
             white: { kingside: true, queenside: true },
             black: { kingside: true, queenside: true }
         };
 
+        this.halfmoveClock = 0;
+        this.fullmoveNumber = 1;
+
         // OPTIMIZATION: Reset search optimization data structures
-        this.positionHistory = [];
+        this.positionHistory = [this.getFEN()];
         this.killerMoves = Array(20).fill(null).map(() => []);
         this.historyTable = {};
 
@@ -950,28 +729,40 @@ class ChessGame {
     }
 
     undoMove() {
-        if (this.moveHistory.length === 0) return;
+        if (this.moveHistory.length === 0 || this.replayMoves) return;
+        this.cancelAIMove();
 
         // Undo last move (player's move)
         this.moveHistory.pop();
-        // OPTIMIZATION: Also remove from position history
-        if (this.positionHistory.length > 0) this.positionHistory.pop();
+        // OPTIMIZATION: Also remove from position history (keeping the initial position)
+        if (this.positionHistory.length > 1) this.positionHistory.pop();
 
         // Undo AI's move if it exists
         if (this.moveHistory.length > 0 && this.currentTurn === this.playerColor) {
             this.moveHistory.pop();
-            if (this.positionHistory.length > 0) this.positionHistory.pop();
+            if (this.positionHistory.length > 1) this.positionHistory.pop();
         }
 
         if (this.moveHistory.length > 0) {
             const lastState = this.moveHistory[this.moveHistory.length - 1];
             this.board = JSON.parse(JSON.stringify(lastState.board));
+            this.castlingRights = JSON.parse(JSON.stringify(lastState.castlingRights));
+            this.enPassantTarget = lastState.enPassantTarget;
+            this.halfmoveClock = lastState.halfmoveClock;
+            this.fullmoveNumber = lastState.fullmoveNumber;
         } else {
-            this.board = this.createInitialBoard();
+            // Back to the position the game started from (standard or loaded FEN)
+            const start = ChessRules.parseFEN(this.positionHistory[0]);
+            this.board = start.board;
+            this.castlingRights = start.castlingRights;
+            this.enPassantTarget = start.enPassantTarget;
+            this.halfmoveClock = start.halfmoveClock;
+            this.fullmoveNumber = start.fullmoveNumber;
         }
 
         this.currentTurn = this.playerColor;
         this.gameOver = false;
+        this.gameResult = '*';
         this.selectedSquare = null;
         this.validMoves = [];
 
@@ -988,6 +779,13 @@ class ChessGame {
         this.updateUI();
     }
 
+    // The seed entered for new games, or null when the field is empty or not a valid seed
+    readSeedInput() {
+        const text = (document.getElementById('seed-input')?.value || '').trim();
+        if (!/^\d+$/.test(text) || Number(text) > MAX_SEED) return null;
+        return Number(text);
+    }
+
     setAIElo(elo) {
         this.aiElo = elo;
         document.getElementById('current-elo').textContent = elo;
@@ -1001,6 +799,16 @@ class ChessGame {
         });
     }
 
+    setAIPersonality(personality) {
+        if (!AISettings.PERSONALITIES[personality]) return;
+        this.aiPersonality = personality;
+
+        const select = document.getElementById('personality-select');
+        if (select) select.value = personality;
+        document.getElementById('personality-description').textContent =
+            AISettings.PERSONALITIES[personality].description;
+    }
+
     attachEventListeners() {
         // Mode selector
         document.getElementById('learn-mode')?.addEventListener('click', () => this.switchToLearnMode());
@@ -1010,6 +818,10 @@ class ChessGame {
         // Game controls (only if elements exist)
         document.getElementById('new-game')?.addEventListener('click', () => this.newGame());
         document.getElementById('undo-move')?.addEventListener('click', () => this.undoMove());
+        document.getElementById('export-pgn')?.addEventListener('click', () => this.downloadPGN());
+        this.attachPGNEventListeners();
+        this.attachEvaluationEventListeners();
+        this.attachAnalysisEventListeners();
 
         // Elo selection buttons
         document.querySelectorAll('.elo-btn').forEach(btn => {
@@ -1019,6 +831,10 @@ class ChessGame {
             });
         });
 
+        document.getElementById('personality-select')?.addEventListener('change', (e) => {
+            this.setAIPersonality(e.target.value);
+        });
+
         document.querySelectorAll('input[name="player-color"]').forEach(radio => {
             radio.addEventListener('change', (e) => {
                 this.playerColor = e.target.value;
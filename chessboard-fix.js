@@ -60,9 +60,29 @@ function notationToCoordinate(notation) {
     return { row: rank, col: file };
 }
 
+// Show position problems (see LessonEngine.positionIssues) in the lesson feedback panel
+function showLessonPositionIssues(intro, issues) {
+    const feedbackDiv = document.getElementById('lesson-feedback');
+    const contentDiv = document.getElementById('feedback-content');
+    if (!feedbackDiv || !contentDiv) return;
+
+    feedbackDiv.style.display = 'block';
+    contentDiv.innerHTML = `
+        <div class="feedback-error">
+            <div class="feedback-icon">⚠️</div>
+            <div class="feedback-text">
+                <h4>Position Analysis</h4>
+                <p>${intro}</p>
+                <ul>${issues.map(issue => `<li>${issue}</li>`).join('')}</ul>
+            </div>
+        </div>
+    `;
+}
+
 // Override the setupLessonPosition method to properly initialize the lesson board
 LessonEngine.prototype.setupLessonPosition = function() {
     if (!this.currentLesson || !this.chessGame) return;
+    this.positionIssues = null;
 
     console.log('Setting up lesson:', this.currentLesson.title);
     console.log('FEN:', this.currentLesson.fen);
@@ -73,8 +93,16 @@ LessonEngine.prototype.setupLessonPosition = function() {
     this.chessGame.currentBoardElement = 'lesson-chessboard';
     
     // Parse FEN and set up board
-    this.chessGame.loadFEN(this.currentLesson.fen);
-    
+    try {
+        this.chessGame.loadFEN(this.currentLesson.fen);
+    } catch (error) {
+        console.error('❌ Lesson FEN rejected:', error.message);
+        const boardElement = document.getElementById('lesson-chessboard');
+        if (boardElement) boardElement.innerHTML = '';
+        this.positionIssues = { intro: 'This lesson position could not be loaded:', issues: [error.message] };
+        return;
+    }
+
     // Set player color
     const playerColor = this.currentLesson.playerColor || 'white';
     this.chessGame.setPlayerColor(playerColor);
@@ -104,22 +132,9 @@ LessonEngine.prototype.setupLessonPosition = function() {
     console.log('Lesson setup complete. Current turn:', this.chessGame.currentTurn);
     console.log('Player color:', this.chessGame.playerColor);
     
-    // Display analysis results in UI if there are issues
+    // Analysis issues are shown in the lesson UI (SkillTreeRenderer.updateLessonUI)
     if (!analysis.valid) {
-        const feedbackDiv = document.getElementById('lesson-feedback');
-        if (feedbackDiv) {
-            feedbackDiv.style.display = 'block';
-            feedbackDiv.innerHTML = `
-                <div class="feedback-error">
-                    <div class="feedback-icon">⚠️</div>
-                    <div class="feedback-text">
-                        <h4>Position Analysis</h4>
-                        <p>This lesson position may have issues:</p>
-                        <ul>${analysis.issues.map(issue => `<li>${issue}</li>`).join('')}</ul>
-                    </div>
-                </div>
-            `;
-        }
+        this.positionIssues = { intro: 'This lesson position may have issues:', issues: analysis.issues };
     }
 };
 
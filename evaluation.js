@@ -0,0 +1,85 @@
+// Evaluation Breakdown - shows the AI's evaluation terms for the position on the play screen
+
+const EVALUATION_TERMS = [
+    ['material', 'Material'],
+    ['pieceSquare', 'Piece placement'],
+    ['mobility', 'Mobility'],
+    ['pawnStructure', 'Pawn structure'],
+    ['kingSafety', 'King safety']
+];
+
+// Positions within this many centipawns are described as equal
+const EQUAL_POSITION_MARGIN = 25;
+
+// Ask the worker to score the current position, but only while the panel is open
+ChessGame.prototype.requestEvaluation = function() {
+    const breakdown = document.getElementById('evaluation-breakdown');
+    if (!breakdown || breakdown.style.display === 'none') return;
+    if (this.lessonMode || !this.aiWorker || !this.workerReady) return;
+
+    this.evaluationRequestId = this.postWorkerRequest({
+        type: 'evaluate',
+        board: this.board,
+        settings: this.getAISettings(),
+        currentTurn: this.currentTurn,
+        castlingRights: this.castlingRights,
+        enPassantTarget: this.enPassantTarget
+    });
+};
+
+// Render a worker 'evaluation' reply: { terms: { white, black }, score }. Only the
+// reply to the latest request is shown (see handleWorkerMessage).
+ChessGame.prototype.showEvaluation = function({ terms, score }) {
+    const pawns = centipawns => (centipawns / 100).toFixed(2);
+    const sideLabel = color => {
+        const name = color.charAt(0).toUpperCase() + color.slice(1);
+        return color === this.aiColor ? `${name} (AI)` : name;
+    };
+
+    document.getElementById('evaluation-white-heading').textContent = sideLabel('white');
+    document.getElementById('evaluation-black-heading').textContent = sideLabel('black');
+
+    const rows = EVALUATION_TERMS.map(([key, label]) =>
+        `<tr><td>${label}</td><td>${pawns(terms.white[key])}</td><td>${pawns(terms.black[key])}</td></tr>`
+    );
+    const total = side => EVALUATION_TERMS.reduce((sum, [key]) => sum + terms[side][key], 0);
+    rows.push(`<tr class="evaluation-total"><td>Total</td><td>${pawns(total('white'))}</td><td>${pawns(total('black'))}</td></tr>`);
+    document.getElementById('evaluation-terms').innerHTML = rows.join('');
+
+    document.getElementById('evaluation-summary').textContent = this.describeEvaluation(terms, score);
+};
+
+// One sentence for students: who is ahead, by how much, and which term matters most
+ChessGame.prototype.describeEvaluation = function(terms, score) {
+    if (Math.abs(score) < EQUAL_POSITION_MARGIN) {
+        return 'The position is about equal.';
+    }
+
+    const leader = score > 0 ? 'white' : 'black';
+    const sign = score > 0 ? 1 : -1;
+    const [, reason] = EVALUATION_TERMS.reduce((best, term) => {
+        const [key] = term;
+        const [bestKey] = best;
+        const advantage = (terms.white[key] - terms.black[key]) * sign;
+        return advantage > (terms.white[bestKey] - terms.black[bestKey]) * sign ? term : best;
+    });
+
+    const who = leader === this.aiColor ? 'The AI' : 'You';
+    return `${who} (${leader}) ${who === 'You' ? 'are' : 'is'} ahead by ` +
+        `${(Math.abs(score) / 100).toFixed(2)} pawns, mostly from ${reason.toLowerCase()}.`;
+};
+
+ChessGame.prototype.attachEvaluationEventListeners = function() {
+    document.getElementById('toggle-evaluation')?.addEventListener('click', (e) => {
+        const breakdown = document.getElementById('evaluation-breakdown');
+        const open = breakdown.style.display === 'none';
+        breakdown.style.display = open ? 'block' : 'none';
+        e.currentTarget.setAttribute('aria-expanded', String(open));
+        this.requestEvaluation();
+    });
+
+    // The weights depend on the AI level, so a new level changes the breakdown
+    document.querySelectorAll('.elo-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.requestEvaluation());
+    });
+};
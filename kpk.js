@@ -0,0 +1,76 @@
+/*
+ * KPK BITBASE
+ * ===========
+ * Win/draw lookups for king and pawn against king (kpk-bitbase.bin, generated
+ * by build-kpk-bitbase.js). Shared by the AI worker (chess-worker.js, via
+ * importScripts), the lesson engine and Node scripts (via require).
+ *
+ * The bitbase holds one bit per position, set when the side with the pawn wins.
+ * Positions are stored with the pawn side as white and the pawn on files a-d;
+ * other positions are flipped or mirrored onto those before the lookup.
+ * Index = ((strongToMove ? 0 : 1) * 64 + strongKing) * 64 + weakKing) * 24 + pawn,
+ * with squares numbered row * 8 + col (row 0 = rank 8) and pawn = (row - 1) * 4 + col.
+ */
+
+(function(root) {
+
+    const KPK_POSITIONS = 2 * 64 * 64 * 24;
+    const KPK_BYTES = KPK_POSITIONS / 8;
+
+    function getKPKIndex(strongToMove, strongKing, weakKing, pawn) {
+        const pawnIndex = ((pawn >> 3) - 1) * 4 + (pawn & 7);
+        return (((strongToMove ? 0 : 1) * 64 + strongKing) * 64 + weakKing) * 24 + pawnIndex;
+    }
+
+    // { strongColor, win, pawn } for a king and pawn against king position, where win
+    // is true when the side with the pawn wins with best play and pawn is its { row, col }.
+    // null for any other material or without a bitbase.
+    function probeKPK(bitbase, board, sideToMove) {
+        if (!bitbase) return null;
+
+        const kings = {};
+        let pawn = null;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (!piece) continue;
+                if (piece === 'K' || piece === 'k') {
+                    kings[piece === 'K' ? 'white' : 'black'] = { row, col };
+                } else if ((piece === 'P' || piece === 'p') && !pawn) {
+                    pawn = { row, col, color: piece === 'P' ? 'white' : 'black' };
+                } else {
+                    return null;
+                }
+            }
+        }
+        if (!pawn || !kings.white || !kings.black || pawn.row === 0 || pawn.row === 7) return null;
+
+        // Flip black's pawn onto white's side of the board, then mirror e-h onto d-a
+        const strongColor = pawn.color;
+        const weakColor = strongColor === 'white' ? 'black' : 'white';
+        const flip = strongColor === 'black';
+        const mirror = pawn.col > 3;
+        const square = ({ row, col }) => (flip ? 7 - row : row) * 8 + (mirror ? 7 - col : col);
+
+        const index = getKPKIndex(sideToMove === strongColor,
+            square(kings[strongColor]), square(kings[weakColor]), square(pawn));
+        return {
+            strongColor,
+            win: (bitbase[index >> 3] & (1 << (index & 7))) !== 0,
+            pawn: { row: pawn.row, col: pawn.col }
+        };
+    }
+
+    const KPK = {
+        KPK_POSITIONS,
+        KPK_BYTES,
+        getKPKIndex,
+        probeKPK
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = KPK;
+    } else {
+        root.KPK = KPK;
+    }
+})(typeof self !== 'undefined' ? self : this);
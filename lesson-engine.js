@@ -6,6 +6,7 @@ class LessonEngine {
         this.skillTrees = null;
         this.progressTracker = null;
         this.chessGame = null;
+        this.positionIssues = null; // { intro, issues } when the lesson FEN is bad or suspicious
     }
 
     async initialize(chessGame, progressTracker) {
@@ -70,20 +71,20 @@ class LessonEngine {
         this.chessGame.updateUI();
     }
 
-    validateMove(fromRow, fromCol, toRow, toCol) {
+    validateMove(fromRow, fromCol, toRow, toCol, promotion = null) {
         if (!this.currentLesson) {
             return { valid: false, message: "No active lesson" };
         }
 
-        const moveNotation = this.convertMoveToNotation(fromRow, fromCol, toRow, toCol);
         const solution = this.currentLesson.solution;
 
         // Check if move matches the solution
-        if (this.movesMatch(fromRow, fromCol, toRow, toCol, solution)) {
+        if (this.movesMatch(fromRow, fromCol, toRow, toCol, solution, promotion)) {
             return {
                 valid: true,
                 correct: true,
                 message: this.currentLesson.explanation,
+                bookMove: this.getBookMoveLabel(fromRow, fromCol, toRow, toCol, promotion),
                 points: this.currentLesson.points || 100
             };
         }
@@ -91,34 +92,103 @@ class LessonEngine {
         // Check alternatives for specific feedback
         if (this.currentLesson.alternatives) {
             for (const alt of this.currentLesson.alternatives) {
-                if (this.movesMatch(fromRow, fromCol, toRow, toCol, alt)) {
+                if (this.movesMatch(fromRow, fromCol, toRow, toCol, alt, promotion)) {
                     return {
                         valid: true,
                         correct: false,
                         message: alt.feedback,
                         hint: "Try again!",
+                        labels: this.getMoveLabels(fromRow, fromCol, toRow, toCol, promotion),
+                        bookMove: this.getBookMoveLabel(fromRow, fromCol, toRow, toCol, promotion),
                         points: 0
                     };
                 }
             }
         }
 
+        // In a won king and pawn ending any move that keeps the win is good enough
+        if (this.keepsKPKWin(fromRow, fromCol, toRow, toCol, promotion)) {
+            return {
+                valid: true,
+                correct: true,
+                message: `That keeps the win too. ${this.currentLesson.explanation || ''}`.trim(),
+                points: this.currentLesson.points || 100
+            };
+        }
+
         // Generic incorrect move
         return {
             valid: true,
             correct: false,
             message: this.currentLesson.hint || "That's not the best move. Try again!",
+            labels: this.getMoveLabels(fromRow, fromCol, toRow, toCol, promotion),
+            bookMove: this.getBookMoveLabel(fromRow, fromCol, toRow, toCol, promotion),
             points: 0
         };
     }
 
-    movesMatch(fromRow, fromCol, toRow, toCol, moveData) {
+    // Short tags describing what is wrong with a move, checked before it is played
+    getMoveLabels(fromRow, fromCol, toRow, toCol, promotion = null) {
+        const labels = [];
+        const move = { fromRow, fromCol, toRow, toCol, promotion: promotion || undefined };
+        if (ChessRules.hangsMaterial(this.chessGame.board, move)) {
+            labels.push('Hangs material');
+        }
+        if (this.keepsKPKWin(fromRow, fromCol, toRow, toCol, promotion) === false) {
+            labels.push('Throws away the win');
+        }
+        return labels;
+    }
+
+    // For the side with the pawn in a won king and pawn ending: whether the move keeps
+    // it won, by the KPK bitbase. null when the bitbase can't tell (other material, a
+    // drawn or lost position, a promotion, or no bitbase loaded).
+    keepsKPKWin(fromRow, fromCol, toRow, toCol, promotion = null) {
+        const game = this.chessGame;
+        const before = KPK.probeKPK(game.kpkBitbase, game.board, game.currentTurn);
+        if (!before || !before.win || before.strongColor !== game.currentTurn) return null;
+
+        const next = ChessRules.parseFEN(game.getFEN());
+        ChessRules.makeMove(next, { fromRow, fromCol, toRow, toCol, promotion: promotion || undefined });
+        const after = KPK.probeKPK(game.kpkBitbase, next.board, next.currentTurn);
+        return after ? after.win : null;
+    }
+
+    // "Book move", with the opening it leads to when the book names it, for moves
+    // found in the AI's opening book; null for other moves
+    getBookMoveLabel(fromRow, fromCol, toRow, toCol, promotion = null) {
+        const book = this.chessGame.openingBook;
+        const isBookMove = OpeningBook.getBookMoves(book, this.chessGame).some(({ move }) =>
+            move.fromRow === fromRow && move.fromCol === fromCol &&
+            move.toRow === toRow && move.toCol === toCol &&
+            (!move.promotion || move.promotion === (promotion || 'q')));
+        if (!isBookMove) return null;
+
+        const next = ChessRules.parseFEN(this.chessGame.getFEN());
+        ChessRules.makeMove(next, { fromRow, fromCol, toRow, toCol, promotion: promotion || undefined });
+        const name = OpeningBook.getOpeningName(book, next);
+        return name ? `Book move: ${name}` : 'Book move';
+    }
+
+    movesMatch(fromRow, fromCol, toRow, toCol, moveData, promotion = null) {
         // Convert chess notation to coordinates
         const fromSquare = this.coordinateToNotation(fromRow, fromCol);
         const toSquare = this.coordinateToNotation(toRow, toCol);
+
+        // A lesson can demand a specific promotion piece (e.g. "e8=N+")
+        const requiredPromotion = this.getRequiredPromotion(moveData);
+        if (requiredPromotion && requiredPromotion !== (promotion || 'q').toLowerCase()) {
+            return false;
+        }
         
         return (fromSquare === moveData.from && toSquare === moveData.to) ||
-               (moveData.notation && this.convertMoveToNotation(fromRow, fromCol, toRow, toCol) === moveData.notation);
+               (moveData.notation && this.convertMoveToNotation(fromRow, fromCol, toRow, toCol, promotion) === moveData.notation);
+    }
+
+    getRequiredPromotion(moveData) {
+        if (moveData.promotion) return moveData.promotion.toLowerCase();
+        const match = moveData.notation && moveData.notation.match(/=([QRBN])/i);
+        return match ? match[1].toLowerCase() : null;
     }
 
     coordinateToNotation(row, col) {
@@ -133,27 +203,9 @@ class LessonEngine {
         return { row: rank, col: file };
     }
 
-    convertMoveToNotation(fromRow, fromCol, toRow, toCol) {
-        // This is a simplified notation converter
-        // In a real implementation, you'd need to handle piece disambiguation, castling, etc.
-        const piece = this.chessGame.board[fromRow][fromCol];
-        const fromSquare = this.coordinateToNotation(fromRow, fromCol);
-        const toSquare = this.coordinateToNotation(toRow, toCol);
-        const capture = this.chessGame.board[toRow][toCol] ? 'x' : '';
-        
-        if (piece && piece.toLowerCase() === 'p') {
-            // Pawn move
-            if (capture) {
-                return fromSquare[0] + capture + toSquare;
-            }
-            return toSquare;
-        } else if (piece) {
-            // Piece move
-            const pieceSymbol = piece.toUpperCase();
-            return pieceSymbol + capture + toSquare;
-        }
-        
-        return fromSquare + toSquare;
+    convertMoveToNotation(fromRow, fromCol, toRow, toCol, promotion = null) {
+        // Same SAN generator as the move history, so lesson notation matches what players see
+        return this.chessGame.getMoveNotation(fromRow, fromCol, toRow, toCol, promotion);
     }
 
     completeCurrentLesson(points) {
@@ -239,14 +291,14 @@ class LessonEngine {
         return false;
     }
 
-    validateSequenceMove(fromRow, fromCol, toRow, toCol) {
+    validateSequenceMove(fromRow, fromCol, toRow, toCol, promotion = null) {
         if (!this.currentLesson || this.currentLesson.type !== 'sequence') {
             return { valid: false, message: "Not a sequence lesson" };
         }
 
         const expectedMove = this.currentLesson.sequence[this.sequenceIndex];
-        if (this.movesMatch(fromRow, fromCol, toRow, toCol, expectedMove)) {
-            this.sequenceMoves.push({ fromRow, fromCol, toRow, toCol });
+        if (this.movesMatch(fromRow, fromCol, toRow, toCol, expectedMove, promotion)) {
+            this.sequenceMoves.push({ fromRow, fromCol, toRow, toCol, promotion });
             this.sequenceIndex++;
 
             if (this.sequenceIndex >= this.currentLesson.sequence.length) {
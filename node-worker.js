@@ -0,0 +1,23 @@
+// Runs chess-worker.js in a Node worker thread, with the Web Worker globals it
+// expects (self, postMessage, importScripts), so Node scripts can use the engine
+// unchanged through the worker's message protocol:
+//
+//   const worker = new Worker(path.join(__dirname, 'node-worker.js'));
+//
+// Used by the UCI adapter (uci.js) and the Elo calibration (calibrate-elo.js).
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parentPort } = require('worker_threads');
+
+const load = file => vm.runInThisContext(
+    fs.readFileSync(path.join(__dirname, file), 'utf8'),
+    { filename: file }
+);
+
+globalThis.self = globalThis;
+self.postMessage = message => parentPort.postMessage(message);
+self.importScripts = (...files) => files.forEach(load);
+parentPort.on('message', data => self.onmessage({ data }));
+
+load('chess-worker.js');
@@ -0,0 +1,85 @@
+/*
+ * OPENING BOOK
+ * ============
+ * Lookups in the opening book (opening-book.json, built from opening-book.pgn
+ * by build-opening-book.js). Shared by the AI worker (chess-worker.js, via
+ * importScripts), the lesson engine and Node scripts (via require).
+ *
+ * A book is { positions, names }, both keyed by ChessRules.getPositionKey:
+ *   positions[key] = [[uciMove, weight], ...]   e.g. [["e2e4", 25], ["d2d4", 14]]
+ *   names[key]     = name of the opening the position belongs to, when known
+ * Weights are the number of book lines that play the move.
+ */
+
+(function(root) {
+
+    const ChessRules = typeof module !== 'undefined' && module.exports ?
+        require('./chess-rules.js') : root.ChessRules;
+
+    function getBookKey(position) {
+        return ChessRules.getPositionKey(ChessRules.generateFEN(position));
+    }
+
+    // "e2e4" / "e7e8q" to a move object
+    function parseBookMove(text) {
+        const from = ChessRules.notationToSquare(text.slice(0, 2));
+        const to = ChessRules.notationToSquare(text.slice(2, 4));
+        const move = { fromRow: from.row, fromCol: from.col, toRow: to.row, toCol: to.col };
+        if (text[4]) move.promotion = text[4];
+        return move;
+    }
+
+    function formatBookMove(move) {
+        return ChessRules.squareToNotation(move.fromRow, move.fromCol) +
+            ChessRules.squareToNotation(move.toRow, move.toCol) +
+            (move.promotion || '');
+    }
+
+    // Legal book moves for the position as [{ move, weight }], most played first
+    function getBookMoves(book, position) {
+        const entries = (book && book.positions[getBookKey(position)]) || [];
+        return entries
+            .map(([text, weight]) => ({ move: parseBookMove(text), weight }))
+            .filter(({ move }) => ChessRules.getValidMovesForPiece(position, move.fromRow, move.fromCol)
+                .some(target => target.row === move.toRow && target.col === move.toCol))
+            .sort((a, b) => b.weight - a.weight);
+    }
+
+    function getOpeningName(book, position) {
+        return (book && book.names[getBookKey(position)]) || null;
+    }
+
+    // A weighted random book move, or null once the game is past settings.bookDepth
+    // plies or out of the book. bookRandomness 1 picks in proportion to the weights;
+    // lower values favour the most played moves.
+    function pickBookMove(book, position, settings, random = Math.random) {
+        const ply = ((position.fullmoveNumber || 1) - 1) * 2 + (position.currentTurn === 'black' ? 1 : 0);
+        if (!book || ply >= settings.bookDepth) return null;
+
+        const candidates = getBookMoves(book, position);
+        if (candidates.length === 0) return null;
+
+        const weights = candidates.map(({ weight }) => Math.pow(weight, 1 / settings.bookRandomness));
+        let pick = random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < candidates.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) return candidates[i].move;
+        }
+        return candidates[0].move;
+    }
+
+    const OpeningBook = {
+        getBookKey,
+        parseBookMove,
+        formatBookMove,
+        getBookMoves,
+        getOpeningName,
+        pickBookMove
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OpeningBook;
+    } else {
+        root.OpeningBook = OpeningBook;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,318 @@
+// PGN Support - Portable Game Notation export and import for the ChessGame class
+
+const STANDARD_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const PGN_LINE_LENGTH = 80;
+const PGN_RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+ChessGame.prototype.exportPGN = function() {
+    const today = new Date();
+    const date = [
+        today.getFullYear(),
+        String(today.getMonth() + 1).padStart(2, '0'),
+        String(today.getDate()).padStart(2, '0')
+    ].join('.');
+
+    const aiName = `Chess AI (${this.aiElo})`;
+    const startFEN = this.positionHistory[0] || STANDARD_START_FEN;
+    const result = this.gameResult || '*';
+
+    // Seven Tag Roster first, in the order the PGN standard requires
+    const tags = [
+        ['Event', 'Chess Learning - Play AI'],
+        ['Site', typeof location !== 'undefined' ? location.host || '?' : '?'],
+        ['Date', date],
+        ['Round', '-'],
+        ['White', this.playerColor === 'white' ? 'Player' : aiName],
+        ['Black', this.playerColor === 'black' ? 'Player' : aiName],
+        ['Result', result],
+        [this.aiColor === 'white' ? 'WhiteElo' : 'BlackElo', String(this.aiElo)]
+    ];
+    if (this.aiPersonality !== AISettings.DEFAULT_PERSONALITY) {
+        tags.push(['AIStyle', this.aiPersonality]);
+    }
+    if (this.aiSeed !== null) {
+        tags.push(['Seed', String(this.aiSeed)]);
+    }
+    if (startFEN !== STANDARD_START_FEN) {
+        tags.push(['SetUp', '1']);
+        tags.push(['FEN', startFEN]);
+    }
+
+    const header = tags
+        .map(([name, value]) => `[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+        .join('\n');
+
+    return `${header}\n\n${this.getPGNMovetext(result)}\n`;
+};
+
+// Numbered SAN moves followed by the result, wrapped to the PGN line length
+ChessGame.prototype.getPGNMovetext = function(result) {
+    const tokens = [];
+    this.moveHistory.forEach((move, index) => {
+        const isWhite = this.getPieceColor(move.piece) === 'white';
+        const moveNumber = isWhite ? move.fullmoveNumber : move.fullmoveNumber - 1;
+        if (isWhite) {
+            tokens.push(`${moveNumber}.`);
+        } else if (index === 0) {
+            tokens.push(`${moveNumber}...`);
+        }
+        tokens.push(move.moveNotation);
+    });
+    tokens.push(result);
+
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + 1 + token.length > PGN_LINE_LENGTH) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    lines.push(line);
+    return lines.join('\n');
+};
+
+ChessGame.prototype.downloadPGN = function() {
+    const pgn = this.exportPGN();
+    const blob = new Blob([pgn], { type: 'application/x-chess-pgn' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `chess-game-${new Date().toISOString().slice(0, 10)}.pgn`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Parse the first game in a PGN text into its tags, mainline SAN moves and result.
+// Comments, NAGs, move-number indicators, annotation glyphs and variations are dropped.
+function parsePGN(text) {
+    const tags = {};
+    const moves = [];
+    let result = '*';
+
+    // The header is every tag before the movetext, any number of them to a line
+    const tagPattern = /\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/y;
+    let headerEnd = 0;
+    let match;
+    while ((match = tagPattern.exec(text)) !== null) {
+        tags[match[1]] = match[2].replace(/\\(["\\])/g, '$1');
+        headerEnd = tagPattern.lastIndex;
+    }
+    const movetext = text.slice(headerEnd);
+
+    let variationDepth = 0;
+    let i = 0;
+    while (i < movetext.length) {
+        const char = movetext[i];
+
+        if (char === '{') {
+            const end = movetext.indexOf('}', i);
+            if (end === -1) throw new Error('Unterminated comment in PGN');
+            i = end + 1;
+        } else if (char === ';' || (char === '%' && (i === 0 || movetext[i - 1] === '\n'))) {
+            const end = movetext.indexOf('\n', i);
+            i = end === -1 ? movetext.length : end + 1;
+        } else if (char === '(') {
+            variationDepth++;
+            i++;
+        } else if (char === ')') {
+            if (variationDepth === 0) throw new Error('Unbalanced ")" in PGN');
+            variationDepth--;
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else {
+            let end = i;
+            while (end < movetext.length && !/[\s{};()]/.test(movetext[end])) end++;
+            const token = movetext.slice(i, end);
+            i = end;
+
+            if (variationDepth > 0 || token.startsWith('$')) continue;
+            if (PGN_RESULTS.includes(token)) {
+                result = token;
+                break;
+            }
+
+            // "12.", "12...", or a number glued to the move ("12.e4")
+            const san = token.replace(/^\d+\.*/, '').replace(/[!?]+$/, '');
+            if (san) moves.push(san);
+        }
+    }
+
+    if (variationDepth > 0) throw new Error('Unterminated variation in PGN');
+
+    return { tags, moves, result };
+}
+
+// Find the legal move for a SAN string in a position (the game's by default), or null
+ChessGame.prototype.findMoveBySAN = function(san, position = this) {
+    const cleaned = san.replace(/[+#]+$/, '').replace(/e\.p\.$/, '').replace(/0/g, 'O');
+    const board = position.board;
+    const legalMoves = ChessRules.getLegalMoves(position, position.currentTurn);
+
+    if (cleaned === 'O-O' || cleaned === 'O-O-O') {
+        const targetCol = cleaned === 'O-O' ? 6 : 2;
+        return legalMoves.find(m =>
+            board[m.fromRow][m.fromCol].toLowerCase() === 'k' &&
+            m.fromCol === 4 && m.toCol === targetCol
+        ) || null;
+    }
+
+    const match = cleaned.match(/^([NBRQK])?([a-h])?([1-8])?x?([a-h])([1-8])(?:=?([NBRQ]))?$/);
+    if (!match) return null;
+
+    const [, pieceLetter, fromFile, fromRank, toFile, toRank, promotion] = match;
+    const pieceType = (pieceLetter || 'P').toLowerCase();
+    const toRow = 8 - parseInt(toRank);
+    const toCol = toFile.charCodeAt(0) - 97;
+    const promotionPiece = promotion ? promotion.toLowerCase() : 'q';
+
+    const candidates = legalMoves.filter(m =>
+        board[m.fromRow][m.fromCol].toLowerCase() === pieceType &&
+        m.toRow === toRow && m.toCol === toCol &&
+        (!fromFile || m.fromCol === fromFile.charCodeAt(0) - 97) &&
+        (!fromRank || m.fromRow === 8 - parseInt(fromRank)) &&
+        (!m.promotion || m.promotion === promotionPiece)
+    );
+
+    return candidates.length === 1 ? candidates[0] : null;
+};
+
+// Load a PGN game and open it for step-by-step replay from the first move.
+// The moves are played on a copy of the start position, and the board is drawn once at the end.
+ChessGame.prototype.importPGN = function(text) {
+    const { tags, moves } = parsePGN(text);
+
+    this.lessonMode = false;
+    this.currentBoardElement = 'chessboard';
+    this.loadFEN(tags.FEN || STANDARD_START_FEN);
+
+    const replayStart = {
+        board: JSON.parse(JSON.stringify(this.board)),
+        currentTurn: this.currentTurn,
+        castlingRights: JSON.parse(JSON.stringify(this.castlingRights)),
+        enPassantTarget: this.enPassantTarget,
+        halfmoveClock: this.halfmoveClock,
+        fullmoveNumber: this.fullmoveNumber
+    };
+
+    const position = JSON.parse(JSON.stringify(replayStart));
+    const replayMoves = [];
+    const replayPositions = [ChessRules.generateFEN(position)];
+
+    moves.forEach((san, index) => {
+        const move = this.findMoveBySAN(san, position);
+        if (!move) {
+            const moveNumber = Math.floor(index / 2) + 1;
+            throw new Error(`Illegal or ambiguous move "${san}" near move ${moveNumber}`);
+        }
+
+        const { fromRow, fromCol, toRow, toCol } = move;
+        const promotion = move.promotion || null;
+        const piece = position.board[fromRow][fromCol];
+        const moveNotation = ChessRules.getSAN(position, { fromRow, fromCol, toRow, toCol, promotion });
+        const { captured: capturedPiece } = ChessRules.makeMove(position, { fromRow, fromCol, toRow, toCol, promotion });
+
+        // The same record ChessGame.makeMove keeps in moveHistory
+        replayMoves.push({
+            moveNotation, piece, fromRow, fromCol, toRow, toCol, promotion, capturedPiece,
+            board: JSON.parse(JSON.stringify(position.board)),
+            castlingRights: JSON.parse(JSON.stringify(position.castlingRights)),
+            enPassantTarget: position.enPassantTarget,
+            halfmoveClock: position.halfmoveClock,
+            fullmoveNumber: position.fullmoveNumber
+        });
+        replayPositions.push(ChessRules.generateFEN(position));
+    });
+
+    this.replayStart = replayStart;
+    this.replayMoves = replayMoves;
+    this.replayPositions = replayPositions;
+    this.goToPly(0);
+    this.applyReplaySettings(tags);
+};
+
+// A seeded game is played again by starting a new game with its seed, the AI's
+// level and style and the player's colour, so all four are taken over from the tags
+// for the next new game
+ChessGame.prototype.applyReplaySettings = function(tags) {
+    if (tags.Seed === undefined) return;
+    document.getElementById('seed-input').value = tags.Seed;
+
+    const aiIsWhite = /^Chess AI/.test(tags.White || '');
+    const playerColor = aiIsWhite ? 'black' : 'white';
+    this.setPlayerColor(playerColor);
+    const colorRadio = document.querySelector(`input[name="player-color"][value="${playerColor}"]`);
+    if (colorRadio) colorRadio.checked = true;
+
+    const aiTag = aiIsWhite ? 'WhiteElo' : 'BlackElo';
+    const elo = parseInt(tags[aiTag]);
+    if (!isNaN(elo)) {
+        this.setAIElo(elo);
+    }
+    this.setAIPersonality(tags.AIStyle || AISettings.DEFAULT_PERSONALITY);
+};
+
+// Show the replayed game after the given number of half-moves
+ChessGame.prototype.goToPly = function(ply) {
+    if (!this.replayMoves) return;
+    ply = Math.max(0, Math.min(ply, this.replayMoves.length));
+
+    const state = ply === 0 ? this.replayStart : this.replayMoves[ply - 1];
+    this.board = JSON.parse(JSON.stringify(state.board));
+    this.castlingRights = JSON.parse(JSON.stringify(state.castlingRights));
+    this.enPassantTarget = state.enPassantTarget;
+    this.halfmoveClock = state.halfmoveClock;
+    this.fullmoveNumber = state.fullmoveNumber;
+    this.currentTurn = ply === 0 ? state.currentTurn :
+        (this.getPieceColor(state.piece) === 'white' ? 'black' : 'white');
+
+    this.moveHistory = this.replayMoves.slice(0, ply);
+    this.positionHistory = this.replayPositions.slice(0, ply + 1);
+    this.lastMove = ply === 0 ? null : state;
+    this.selectedSquare = null;
+    this.validMoves = [];
+    this.gameOver = false;
+
+    this.capturedPieces = { white: [], black: [] };
+    for (const move of this.moveHistory) {
+        if (move.capturedPiece) {
+            const color = this.getPieceColor(move.capturedPiece) === 'white' ? 'black' : 'white';
+            this.capturedPieces[color].push(move.capturedPiece);
+        }
+    }
+
+    this.checkGameOver();
+    this.renderBoard();
+    this.updateUI();
+};
+
+ChessGame.prototype.attachPGNEventListeners = function() {
+    document.getElementById('import-pgn')?.addEventListener('click', () => {
+        const panel = document.getElementById('pgn-import');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+
+    document.getElementById('load-pgn')?.addEventListener('click', () => {
+        const input = document.getElementById('pgn-input');
+        try {
+            this.importPGN(input.value);
+            document.getElementById('pgn-import').style.display = 'none';
+        } catch (error) {
+            console.error('Failed to import PGN:', error);
+            alert(`Could not load this PGN: ${error.message}`);
+            this.newGame();
+        }
+    });
+
+    // Replay controls in the move history panel
+    document.getElementById('history-first')?.addEventListener('click', () => this.goToPly(0));
+    document.getElementById('history-prev')?.addEventListener('click', () => this.goToPly(this.moveHistory.length - 1));
+    document.getElementById('history-next')?.addEventListener('click', () => this.goToPly(this.moveHistory.length + 1));
+    document.getElementById('history-last')?.addEventListener('click', () => this.goToPly(this.replayMoves.length));
+};
@@ -0,0 +1,133 @@
+/*
+ * SEARCH POOL
+ * ===========
+ * Lazy SMP: several copies of chess-worker.js search the same position on one
+ * shared transposition table, and their replies are merged into one. The pool
+ * stands in for a single Worker (postMessage, onmessage, onerror), so the game
+ * talks to it exactly as it talked to its worker.
+ *
+ * Worker 0 is the main worker: it plays book moves, picks among the best moves
+ * for variety, makes the deliberate mistakes and is the only one whose moves,
+ * progress, analysis and evaluation replies are passed on. The helpers start at
+ * staggered depths and only fill the shared table, so the main worker gets deeper
+ * in the same time. Helpers are stopped as soon as the main worker has answered,
+ * and only the main worker, which sees every request, clears and ages the shared
+ * table.
+ *
+ * Sharing the table needs SharedArrayBuffer, which browsers only allow on
+ * cross-origin isolated pages (server.js sends the headers). Elsewhere the pool
+ * has a single worker and behaves like one. Shared memory also holds the abort
+ * flag that lets a 'stop' interrupt a search mid-iteration; without it, stops
+ * take effect between iterations (see the protocol in chess-worker.js).
+ */
+
+// More workers than this mostly fight over the table at the depths the app searches
+const MAX_SEARCH_WORKERS = 4;
+
+class SearchPool {
+    constructor(scriptURL, size = SearchPool.getDefaultSize()) {
+        this.onmessage = null;
+        this.onerror = null;
+        this.searches = new Map(); // request id -> { replies, pending }
+
+        this.workers = Array.from({ length: size }, (_, index) => {
+            const worker = new Worker(scriptURL);
+            worker.onmessage = (e) => this.handleMessage(index, e.data);
+            worker.onerror = (e) => this.onerror?.(e);
+            return worker;
+        });
+
+        this.abortFlag = null;
+        if (SearchPool.canShareMemory()) {
+            const buffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT);
+            this.abortFlag = new Int32Array(buffer);
+            this.workers.forEach(worker => worker.postMessage({ type: 'abort-flag', buffer }));
+        }
+        if (size > 1) {
+            this.workers[0].postMessage({ type: 'share-tt' });
+        }
+    }
+
+    static canShareMemory() {
+        return typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+    }
+
+    // One worker per spare core, up to MAX_SEARCH_WORKERS
+    static getDefaultSize() {
+        if (!SearchPool.canShareMemory()) return 1;
+
+        const cores = navigator.hardwareConcurrency || 1;
+        return Math.max(1, Math.min(MAX_SEARCH_WORKERS, cores - 1));
+    }
+
+    get size() {
+        return this.workers.length;
+    }
+
+    // 'search' runs on every worker when message.parallel is set, 'analyze' always does;
+    // 'evaluate' only needs the main worker; anything else ('stop', 'book', 'bitbase') goes to all.
+    // A 'stop' with an id raises the abort flag first, so running searches see it at once.
+    postMessage(message) {
+        const { parallel, ...request } = message;
+
+        if (request.type === 'search') {
+            const workers = parallel ? this.workers : this.workers.slice(0, 1);
+            this.searches.set(request.id, { replies: [], pending: workers.length });
+            workers.forEach((worker, index) => {
+                worker.postMessage(index > 0 ? { ...request, helper: index } : request);
+            });
+        } else if (request.type === 'analyze') {
+            this.workers.forEach((worker, index) => {
+                worker.postMessage(index > 0 ? { ...request, helper: index } : request);
+            });
+        } else if (request.type === 'evaluate') {
+            this.workers[0].postMessage(request);
+        } else {
+            if (request.type === 'stop' && request.id !== undefined && this.abortFlag) {
+                Atomics.store(this.abortFlag, 0, Math.max(Atomics.load(this.abortFlag, 0), request.id));
+            }
+            this.workers.forEach(worker => worker.postMessage(request));
+        }
+    }
+
+    handleMessage(index, data) {
+        if (data.type === 'tt') {
+            // The main worker's shared table, handed on to the helpers
+            this.workers.slice(1).forEach(worker => worker.postMessage(data));
+        } else if (data.type === 'move') {
+            // Every worker a search went to answers it exactly once, stopped or not
+            const search = this.searches.get(data.id);
+            if (!search) return;
+
+            search.replies[index] = data;
+            if (index === 0) this.stopHelpers(data.id);
+            if (--search.pending > 0) return;
+
+            this.searches.delete(data.id);
+            this.onmessage?.({ data: this.mergeReplies(search.replies) });
+        } else if (index === 0) {
+            if (data.type === 'analysis' && data.done) this.stopHelpers(data.id);
+            this.onmessage?.({ data });
+        }
+    }
+
+    // Once the main worker has answered, the helpers' work can't change the result
+    stopHelpers(id) {
+        if (this.workers.length === 1) return;
+        if (this.abortFlag) {
+            Atomics.store(this.abortFlag, 0, Math.max(Atomics.load(this.abortFlag, 0), id));
+        }
+        this.workers.slice(1).forEach(worker => worker.postMessage({ type: 'stop', id }));
+    }
+
+    // The main worker's reply, with the helpers' work counted in: nodes and speed
+    // add up, and the time is the slowest worker's.
+    mergeReplies(replies) {
+        return {
+            ...replies[0],
+            nodes: replies.reduce((sum, reply) => sum + reply.nodes, 0),
+            nps: replies.reduce((sum, reply) => sum + reply.nps, 0),
+            time: Math.max(...replies.map(reply => reply.time))
+        };
+    }
+}
@@ -4,6 +4,13 @@ const path = require('path');
 const app = express();
 const PORT = 8000;
 
+// Cross-origin isolation, so the AI's search workers can share memory (see search-pool.js)
+app.use((req, res, next) => {
+  res.set('Cross-Origin-Opener-Policy', 'same-origin');
+  res.set('Cross-Origin-Embedder-Policy', 'require-corp');
+  next();
+});
+
 // Serve static files from the current directory
 app.use(express.static(__dirname));
 
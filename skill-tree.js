@@ -287,6 +287,12 @@ class SkillTreeRenderer {
         document.getElementById('show-hint').style.display = 'block';
         document.getElementById('hint-text').textContent = lesson.hint || '';
         
+        // Problems found while setting up the lesson position
+        const positionIssues = this.lessonEngine.positionIssues;
+        if (positionIssues) {
+            showLessonPositionIssues(positionIssues.intro, positionIssues.issues);
+        }
+        
         // Update navigation buttons
         document.getElementById('prev-lesson').disabled = progress.current === 1;
         
@@ -307,6 +313,7 @@ class SkillTreeRenderer {
                     <div class="feedback-icon">✅</div>
                     <div class="feedback-text">
                         <h4>Excellent!</h4>
+                        ${result.bookMove ? `<span class="move-label book-label">${result.bookMove}</span>` : ''}
                         <p>${result.message}</p>
                         <div class="points-earned">+${result.points} XP</div>
                     </div>
@@ -319,6 +326,8 @@ class SkillTreeRenderer {
                     <div class=\"feedback-icon\">❌</div>
                     <div class=\"feedback-text\">
                         <h4>Not quite right</h4>
+                        ${(result.labels || []).map(label => `<span class="move-label">${label}</span>`).join('')}
+                        ${result.bookMove ? `<span class="move-label book-label">${result.bookMove}</span>` : ''}
                         <p>${result.message}</p>
                     </div>
                 </div>
@@ -0,0 +1,362 @@
+/*
+ * UCI ADAPTER
+ * ===========
+ * Runs the built-in engine (chess-worker.js) as a UCI engine over stdin/stdout,
+ * for chess GUIs, tournament managers and offline benchmarks:
+ *
+ *   node uci.js
+ *
+ * Commands: uci, isready, ucinewgame, setoption, position (startpos | fen ...,
+ * then moves ...), go (movetime, depth, nodes, wtime/btime/winc/binc/movestogo,
+ * infinite), stop and quit.
+ *
+ * With UCI_LimitStrength on, the engine plays along the app's Elo curve
+ * (ai-settings.js) for UCI_Elo, deliberate mistakes and opening book depth
+ * included, and never thinks longer than that level would. Otherwise it plays
+ * at full strength. OwnBook turns the opening book (opening-book.json) off.
+ * Style picks one of the app's AI styles (AISettings.PERSONALITIES) at any strength.
+ * King and pawn against king is played perfectly from kpk-bitbase.bin.
+ *
+ * The worker script runs unchanged in a worker thread (node-worker.js).
+ * 'go infinite' uses the worker's analysis mode and ends on 'stop'; other
+ * searches run to their time, depth or node limit unless stopped. Stops go
+ * through the worker's shared abort flag, so they take effect at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Worker } = require('worker_threads');
+const ChessRules = require('./chess-rules.js');
+const AISettings = require('./ai-settings.js');
+
+const ENGINE_NAME = 'Chess Learning App';
+
+// Deepest iteration the worker searches (MAX_ANALYSIS_DEPTH in chess-worker.js)
+const FULL_STRENGTH_DEPTH = 32;
+
+// Clock handling: expected moves left when the GUI doesn't say, and time kept
+// back for communication with the GUI
+const DEFAULT_MOVES_TO_GO = 30;
+const MOVE_OVERHEAD_MS = 50;
+
+const engine = createUCIEngine(line => process.stdout.write(line + '\n'));
+const input = readline.createInterface({ input: process.stdin });
+input.on('line', line => engine.handleCommand(line));
+input.on('close', () => engine.quit());
+
+function createUCIEngine(send) {
+    const options = { limitStrength: false, elo: AISettings.MAX_ELO, ownBook: true, style: AISettings.DEFAULT_PERSONALITY };
+    let position = ChessRules.parseFEN(ChessRules.START_FEN);
+    let positionHistory = [ChessRules.START_FEN];
+    let search = null; // { id, turn, infinite, bestMove, stopped } while the worker is busy
+    let pendingSearch = null; // { state, message } for a 'go' waiting on a stopped search
+    let lastRequestId = 0;
+    const abortFlag = new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+
+    const worker = new Worker(path.join(__dirname, 'node-worker.js'));
+    worker.on('message', handleWorkerMessage);
+    worker.on('error', error => {
+        send(`info string engine error: ${error.message}`);
+        process.exit(1);
+    });
+    worker.postMessage({ type: 'abort-flag', buffer: abortFlag.buffer });
+    worker.postMessage({
+        type: 'book',
+        book: JSON.parse(fs.readFileSync(path.join(__dirname, 'opening-book.json'), 'utf8'))
+    });
+    worker.postMessage({
+        type: 'bitbase',
+        bitbase: new Uint8Array(fs.readFileSync(path.join(__dirname, 'kpk-bitbase.bin')))
+    });
+
+    function handleCommand(line) {
+        const [command, ...args] = line.trim().split(/\s+/);
+
+        if (command === 'uci') {
+            send(`id name ${ENGINE_NAME}`);
+            send('id author Chess Learning App contributors');
+            send('option name OwnBook type check default true');
+            send('option name UCI_LimitStrength type check default false');
+            send(`option name UCI_Elo type spin default ${options.elo} min ${AISettings.MIN_ELO} max ${AISettings.MAX_ELO}`);
+            const styles = Object.keys(AISettings.PERSONALITIES).map(style => `var ${style}`).join(' ');
+            send(`option name Style type combo default ${options.style} ${styles}`);
+            send('uciok');
+        } else if (command === 'isready') {
+            send('readyok');
+        } else if (command === 'ucinewgame') {
+            setPosition(['startpos']);
+        } else if (command === 'setoption') {
+            setOption(args);
+        } else if (command === 'position') {
+            setPosition(args);
+        } else if (command === 'go') {
+            go(parseLimits(args));
+        } else if (command === 'stop') {
+            stop();
+        } else if (command === 'quit') {
+            quit();
+        } else if (command) {
+            send(`info string unknown command: ${command}`);
+        }
+    }
+
+    // setoption name <name> [value <value>]; option names are case-insensitive
+    function setOption(args) {
+        const text = args.join(' ');
+        const match = /^name\s+(.+?)(?:\s+value\s+(.*))?$/i.exec(text);
+        if (!match) return;
+
+        const name = match[1].toLowerCase();
+        const value = match[2] || '';
+        if (name === 'ownbook') {
+            options.ownBook = value.toLowerCase() === 'true';
+        } else if (name === 'uci_limitstrength') {
+            options.limitStrength = value.toLowerCase() === 'true';
+        } else if (name === 'uci_elo') {
+            const elo = parseInt(value);
+            if (!isNaN(elo)) {
+                options.elo = Math.max(AISettings.MIN_ELO, Math.min(AISettings.MAX_ELO, elo));
+            }
+        } else if (name === 'style') {
+            const style = value.toLowerCase();
+            if (AISettings.PERSONALITIES[style]) {
+                options.style = style;
+            } else {
+                send(`info string unknown style: ${value}`);
+            }
+        } else {
+            send(`info string unknown option: ${match[1]}`);
+        }
+    }
+
+    // position startpos [moves ...] | position fen <fen> [moves ...]
+    function setPosition(args) {
+        const movesIndex = args.indexOf('moves');
+        const setup = movesIndex === -1 ? args : args.slice(0, movesIndex);
+        const moves = movesIndex === -1 ? [] : args.slice(movesIndex + 1);
+
+        let fen;
+        if (setup[0] === 'startpos') {
+            fen = ChessRules.START_FEN;
+        } else if (setup[0] === 'fen') {
+            fen = setup.slice(1).join(' ');
+        } else {
+            send('info string position needs startpos or fen');
+            return;
+        }
+
+        try {
+            position = ChessRules.parseFEN(fen);
+        } catch (error) {
+            send(`info string ${error.message}`);
+            return;
+        }
+        positionHistory = [ChessRules.generateFEN(position)];
+
+        for (const text of moves) {
+            const move = parseMove(text);
+            if (!move) {
+                send(`info string illegal move: ${text}`);
+                return;
+            }
+            ChessRules.makeMove(position, move);
+            positionHistory.push(ChessRules.generateFEN(position));
+        }
+    }
+
+    // Long algebraic notation (e2e4, e7e8q) to a legal move, or null
+    function parseMove(text) {
+        const from = ChessRules.notationToSquare(text.slice(0, 2));
+        const to = ChessRules.notationToSquare(text.slice(2, 4));
+        if (!from || !to) return null;
+
+        const legal = ChessRules.getValidMovesForPiece(position, from.row, from.col)
+            .some(target => target.row === to.row && target.col === to.col);
+        if (!legal) return null;
+
+        const move = { fromRow: from.row, fromCol: from.col, toRow: to.row, toCol: to.col };
+        if (ChessRules.isPromotionMove(position.board, from.row, from.col, to.row)) {
+            move.promotion = ChessRules.PROMOTION_PIECES.includes(text[4]) ? text[4] : 'q';
+        }
+        return move;
+    }
+
+    function formatMove(move) {
+        return ChessRules.squareToNotation(move.fromRow, move.fromCol) +
+            ChessRules.squareToNotation(move.toRow, move.toCol) +
+            (move.promotion || '');
+    }
+
+    function parseLimits(args) {
+        const limits = { infinite: args.includes('infinite') };
+        for (const key of ['wtime', 'btime', 'winc', 'binc', 'movestogo', 'depth', 'nodes', 'movetime']) {
+            const index = args.indexOf(key);
+            if (index !== -1 && !isNaN(parseInt(args[index + 1]))) {
+                limits[key] = parseInt(args[index + 1]);
+            }
+        }
+        return limits;
+    }
+
+    // Milliseconds for this move from movetime or the clock, or null for no time limit
+    function getTimeBudget(limits) {
+        if (limits.movetime !== undefined) {
+            return limits.movetime;
+        }
+
+        const white = position.currentTurn === 'white';
+        const remaining = white ? limits.wtime : limits.btime;
+        if (remaining === undefined) return null;
+
+        const increment = (white ? limits.winc : limits.binc) || 0;
+        const share = remaining / (limits.movestogo || DEFAULT_MOVES_TO_GO) + increment * 0.75;
+        return Math.max(10, Math.min(share, remaining - MOVE_OVERHEAD_MS));
+    }
+
+    function getSearchSettings(limits) {
+        const levelSettings = AISettings.getAISettings(
+            options.limitStrength ? options.elo : AISettings.MAX_ELO, options.style);
+        const settings = options.limitStrength ? { ...levelSettings } : {
+            ...levelSettings,
+            mistakeRate: 0,
+            searchDepth: FULL_STRENGTH_DEPTH,
+            maxNodes: Infinity
+        };
+
+        const budget = getTimeBudget(limits);
+        if (budget !== null) {
+            settings.timePerMove = options.limitStrength ? Math.min(levelSettings.timePerMove, budget) : budget;
+        } else if (limits.depth || limits.nodes) {
+            settings.timePerMove = Infinity;
+        }
+        if (limits.depth) {
+            settings.searchDepth = Math.min(limits.depth, FULL_STRENGTH_DEPTH);
+        }
+        if (limits.nodes) {
+            settings.maxNodes = limits.nodes;
+        }
+        if (!options.ownBook) {
+            settings.bookDepth = 0;
+        }
+        return settings;
+    }
+
+    // A 'go' right after a 'stop' waits for the stopped search to answer, then starts
+    function go(limits) {
+        if (!search) {
+            startSearch(createSearch(limits));
+        } else if (search.stopped && !pendingSearch) {
+            pendingSearch = createSearch(limits);
+        } else {
+            send('info string already searching');
+        }
+    }
+
+    // The search and its worker request, for the position as it is now
+    function createSearch(limits) {
+        const fen = positionHistory[positionHistory.length - 1];
+        // An analysis stopped before its first depth still answers with a legal move;
+        // 'bestmove 0000' is left for positions without one
+        const state = {
+            id: ++lastRequestId,
+            turn: position.currentTurn,
+            infinite: limits.infinite,
+            bestMove: ChessRules.getLegalMoves(position)[0] || null,
+            stopped: false
+        };
+
+        const request = {
+            id: state.id,
+            board: position.board,
+            currentTurn: position.currentTurn,
+            castlingRights: position.castlingRights,
+            enPassantTarget: position.enPassantTarget,
+            positionHistory,
+            fullmoveNumber: position.fullmoveNumber
+        };
+
+        const message = limits.infinite ? {
+            type: 'analyze',
+            fen,
+            settings: { ...getSearchSettings(limits), timePerMove: Infinity, maxNodes: Infinity },
+            ...request
+        } : {
+            type: 'search',
+            settings: getSearchSettings(limits),
+            aiColor: position.currentTurn,
+            ...request
+        };
+        return { state, message };
+    }
+
+    function startSearch({ state, message }) {
+        search = state;
+        worker.postMessage(message);
+    }
+
+    // An infinite search ends right away with the best move so far. Other searches
+    // answer with theirs as soon as the worker sees the abort flag. A 'stop' for a
+    // search still waiting to start stops it as soon as it does.
+    function stop() {
+        if (pendingSearch) {
+            pendingSearch.state.stopped = true;
+            return;
+        }
+        if (!search || search.stopped) return;
+        search.stopped = true;
+        Atomics.store(abortFlag, 0, search.id);
+        worker.postMessage({ type: 'stop', id: search.id });
+
+        if (search.infinite) {
+            finishSearch(search.bestMove);
+        }
+    }
+
+    function finishSearch(move) {
+        send(`bestmove ${move ? formatMove(move) : '0000'}`);
+        search = null;
+
+        if (pendingSearch) {
+            const next = pendingSearch;
+            pendingSearch = null;
+            startSearch(next);
+            if (next.state.stopped) {
+                next.state.stopped = false;
+                stop();
+            }
+        }
+    }
+
+    // Replies to a search that has already been answered (a stopped analysis) are ignored
+    function handleWorkerMessage(message) {
+        if (!search || message.id !== search.id) return;
+
+        if (message.type === 'progress') {
+            sendInfo(message);
+        } else if (message.type === 'move') {
+            finishSearch(message.move);
+        } else if (message.type === 'analysis') {
+            // Analysis scores are from white's point of view; UCI wants the side to move's
+            const sign = search.turn === 'white' ? 1 : -1;
+            sendInfo({
+                ...message,
+                score: message.score * sign,
+                mate: message.mate === null ? null : message.mate * sign
+            });
+            search.bestMove = message.pv[0] || null;
+        }
+    }
+
+    function sendInfo({ depth, score, mate, nodes, nps, time, pv }) {
+        const scoreText = mate === null ? `cp ${Math.round(score)}` : `mate ${mate}`;
+        const pvText = pv.length > 0 ? ` pv ${pv.map(formatMove).join(' ')}` : '';
+        send(`info depth ${depth} score ${scoreText} nodes ${nodes} nps ${nps} time ${time}${pvText}`);
+    }
+
+    function quit() {
+        worker.terminate().then(() => process.exit(0));
+    }
+
+    return { handleCommand, quit };
+}